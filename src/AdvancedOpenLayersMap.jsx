@@ -2,27 +2,19 @@ import React, { useEffect, useRef, useMemo, useCallback, useState } from 'react'
 import { Map, View } from 'ol';
 import { Tile as TileLayer, Vector as VectorLayer } from 'ol/layer';
 import { WMTS, Vector as VectorSource } from 'ol/source';
-import { GeoJSON } from 'ol/format';
+import { optionsFromCapabilities } from 'ol/source/WMTS';
+import { GeoJSON, WMTSCapabilities } from 'ol/format';
 import { Style, Fill, Stroke, Circle as CircleStyle } from 'ol/style';
 import { Draw, Modify, Select } from 'ol/interaction';
-import { WMTSTileGrid } from 'ol/tilegrid';
-import { get as getProjection } from 'ol/proj';
-import { getTopLeft, getWidth, getHeight } from 'ol/extent';
 import { ZoomIn, ZoomOut, MapPin, Square, Edit3 } from 'lucide-react';
 
 // Constants for WMTS configuration
+// Tile grids come from the server's capabilities, so they always match its TileMatrixSets
 const WMTS_CONFIG = {
     PROJECTION: 'EPSG:4326',
-    TILE_SIZE: 256,
+    CAPABILITIES_URL: 'https://your-wmts-server.com/wmts/1.0.0/WMTSCapabilities.xml',
     MATRIX_SET: 'WorldCRS84',
-    RESOLUTIONS: [
-        0.703125, 0.3515625, 0.17578125, 0.087890625,
-        0.043945312, 0.021972656, 0.010986328, 0.005493164,
-        0.002746582, 0.001373291, 0.000686645, 0.000343322,
-        8.58306E-05, 4.29153E-05, 2.14576E-05, 1.07288E-05,
-        5.36441E-06, 2.68220E-06, 1.34110E-06, 6.70552E-07,
-        3.35276E-07
-    ]
+    FORMAT: 'image/jpeg',
 };
 
 // Base layer configurations
@@ -89,38 +81,56 @@ const GeometryUtils = {
 
 // WMTS Service for creating tile layers
 class WMTSService {
-    constructor(token) {
-        this.token = token;
+    constructor(authProvider) {
+        this.authProvider = authProvider;
+        this.capabilitiesPromise = null;
     }
 
-    createWMTSSource(layerConfig) {
-        const projection = getProjection(WMTS_CONFIG.PROJECTION);
-        const projectionExtent = projection.getExtent();
-        const size = getWidth(projectionExtent) / WMTS_CONFIG.TILE_SIZE;
-        const resolutions = WMTS_CONFIG.RESOLUTIONS;
-        const matrixIds = resolutions.map((_, i) => i.toString());
-
-        const tileGrid = new WMTSTileGrid({
-            origin: getTopLeft(projectionExtent),
-            resolutions: resolutions,
-            matrixIds: matrixIds,
-        });
+    getCapabilities() {
+        if (!this.capabilitiesPromise) {
+            const request = this.authProvider
+                ? this.authProvider.fetch(WMTS_CONFIG.CAPABILITIES_URL)
+                : fetch(WMTS_CONFIG.CAPABILITIES_URL);
+
+            this.capabilitiesPromise = request
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`WMTS capabilities request failed: ${response.statusText}`);
+                    }
+                    return response.text();
+                })
+                .then(xmlText => new WMTSCapabilities().read(xmlText));
+
+            // Allow a retry after a failed request
+            this.capabilitiesPromise.catch(() => {
+                this.capabilitiesPromise = null;
+            });
+        }
+        return this.capabilitiesPromise;
+    }
 
-        return new WMTS({
-            url: `${layerConfig.baseUrl}/{TileMatrix}/{TileCol}/{TileRow}.jpeg?token=${this.token}`,
+    async createWMTSSource(layerConfig) {
+        const capabilities = await this.getCapabilities();
+        const options = optionsFromCapabilities(capabilities, {
             layer: layerConfig.layerName,
             matrixSet: WMTS_CONFIG.MATRIX_SET,
-            format: 'image/jpeg',
-            projection: projection,
-            tileGrid: tileGrid,
-            style: 'default',
+            format: WMTS_CONFIG.FORMAT,
+        });
+
+        if (!options) {
+            throw new Error(`Layer ${layerConfig.layerName} not found in WMTS capabilities`);
+        }
+
+        return new WMTS({
+            ...options,
+            ...(this.authProvider && { tileLoadFunction: this.authProvider.createTileLoadFunction() }),
             wrapX: true,
         });
     }
 
-    createTileLayer(layerConfig) {
+    async createTileLayer(layerConfig) {
         return new TileLayer({
-            source: this.createWMTSSource(layerConfig),
+            source: await this.createWMTSSource(layerConfig),
             visible: layerConfig.visible || false,
         });
     }
@@ -410,12 +420,12 @@ const AdvancedOpenLayersMap = ({
                                    onPolygonDraw = null,
                                    entityIdColumn = 'מזהה רשימה',
                                    entityColor = null,
-                                   token = 'your-token-here' // This should come from props
+                                   authProvider = null
                                }) => {
     const mapRef = useRef();
     const [map, setMap] = useState(null);
     const [selectedBaseLayer, setSelectedBaseLayer] = useState('satellite');
-    const [wmtsService] = useState(() => new WMTSService(token));
+    const [wmtsService] = useState(() => new WMTSService(authProvider));
     const [vectorService] = useState(() => new VectorLayerService());
     const [drawService, setDrawService] = useState(null);
 
@@ -465,13 +475,22 @@ const AdvancedOpenLayersMap = ({
 
         // Add selected base layer
         const layerConfig = {
-            baseUrl: `https://your-wmts-server.com/wmts/{TileMatrixSet}`,
             layerName: selectedBaseLayer,
             visible: true
         };
 
-        const baseLayer = wmtsService.createTileLayer(layerConfig);
-        map.addLayer(baseLayer);
+        let cancelled = false;
+        wmtsService.createTileLayer(layerConfig)
+            .then(baseLayer => {
+                if (!cancelled) {
+                    map.getLayers().insertAt(0, baseLayer);
+                }
+            })
+            .catch(error => console.error('Failed to create base layer:', error));
+
+        return () => {
+            cancelled = true;
+        };
     }, [map, selectedBaseLayer, wmtsService]);
 
     // Handle main layer and vector features
@@ -568,7 +587,7 @@ const AdvancedOpenLayersMap = ({
 };
 
 // Demo component
-const MapDemo = () => {
+const MapDemo = ({ authProvider = null }) => {
     const [selectedEntity, setSelectedEntity] = useState(null);
     const [selectedRowIndex, setSelectedRowIndex] = useState(null);
 
@@ -626,7 +645,7 @@ const MapDemo = () => {
                 setSelectedEntity={handleEntitySelect}
                 onPolygonDraw={handlePolygonDraw}
                 entityColor={{ fillColor: '#ff6b6b', fillOpacity: 0.7 }}
-                token="your-actual-token"
+                authProvider={authProvider}
             />
 
             {selectedEntity && (
@@ -2,12 +2,20 @@
 
 import React, { useState, useCallback } from 'react';
 import MapComponent from './components/MapComponent.jsx';
+import { AuthProvider } from './services/auth-provider.service.js';
 
 // Example parent component
 const App = () => {
     const [selectedEntity, setSelectedEntity] = useState(null);
     const [selectedRowIndex, setSelectedRowIndex] = useState(undefined);
 
+    // One auth provider for all raster requests; without a dev key the demo runs unauthenticated.
+    // In production, renew the key from your token endpoint instead:
+    // new AuthProvider({ getToken: () => fetch('/api/token').then(response => response.json()).then(({ token }) => token) })
+    const [authProvider] = useState(() => (import.meta.env.VITE_RASTER_API_KEY
+        ? new AuthProvider({ token: import.meta.env.VITE_RASTER_API_KEY })
+        : null));
+
     // Example GeoJSON data
     const sampleMainLayer = {
         type: 'FeatureCollection',
@@ -86,6 +94,7 @@ const App = () => {
                     onPolygonDraw={handlePolygonDraw}
                     entityIdColumn="מזהה רשימה"
                     entityColor={entityColor}
+                    authProvider={authProvider}
                 />
             </div>
 
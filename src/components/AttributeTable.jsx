@@ -0,0 +1,253 @@
+// src/components/AttributeTable.jsx
+
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { ArrowDown, ArrowUp, Columns3, X } from 'lucide-react';
+import { getUid } from 'ol/util';
+import { ExpressionUtils } from '../utils/expression.utils.js';
+import { FormatUtils } from '../utils/format.utils.js';
+
+const ROW_HEIGHT = 32; // Pixels, fixed so rows can be virtualized
+const BODY_HEIGHT = 256;
+const OVERSCAN_ROWS = 5;
+const COLUMN_SAMPLE_SIZE = 200;
+
+/**
+ * Gets the attribute columns of a list of features, in first-seen order
+ */
+const getColumns = (features) => {
+    const columns = new Set();
+    features.slice(0, COLUMN_SAMPLE_SIZE).forEach((feature) => {
+        const geometryName = feature.getGeometryName();
+        feature.getKeys().forEach((key) => {
+            if (key !== geometryName) {
+                columns.add(key);
+            }
+        });
+    });
+    return [...columns];
+};
+
+export const AttributeTable = ({
+                                   tables,
+                                   selectedFeatures,
+                                   viewExtent,
+                                   onRowClick,
+                                   onClose,
+                               }) => {
+    const [activeTableId, setActiveTableId] = useState(tables[0]?.id);
+    const [sort, setSort] = useState({ column: null, descending: false });
+    const [filterText, setFilterText] = useState('');
+    const [hiddenColumns, setHiddenColumns] = useState({});
+    const [inViewOnly, setInViewOnly] = useState(false);
+    const [showColumnMenu, setShowColumnMenu] = useState(false);
+    const [scrollTop, setScrollTop] = useState(0);
+    const bodyRef = useRef(null);
+
+    const activeTable = tables.find(table => table.id === activeTableId) || tables[0];
+    const features = useMemo(() => activeTable?.features || [], [activeTable]);
+
+    const allColumns = useMemo(() => getColumns(features), [features]);
+    const columns = useMemo(() => {
+        const hidden = hiddenColumns[activeTable?.id] || [];
+        return allColumns.filter(column => !hidden.includes(column));
+    }, [allColumns, hiddenColumns, activeTable]);
+
+    const rows = useMemo(() => {
+        const text = filterText.trim().toLowerCase();
+
+        const filtered = features.filter((feature) => {
+            if (inViewOnly && viewExtent && !feature.getGeometry()?.intersectsExtent(viewExtent)) {
+                return false;
+            }
+            if (!text) return true;
+            return columns.some(column => String(feature.get(column) ?? '').toLowerCase().includes(text));
+        });
+
+        if (sort.column) {
+            const direction = sort.descending ? -1 : 1;
+            filtered.sort((a, b) => direction * ExpressionUtils.compare(a.get(sort.column), b.get(sort.column)));
+        }
+        return filtered;
+    }, [features, columns, filterText, inViewOnly, viewExtent, sort]);
+
+    // Follow selections made on the map: switch to the feature's table and scroll its row into view
+    const lastSelected = selectedFeatures[selectedFeatures.length - 1];
+
+    const followedFeatureRef = useRef(null);
+
+    useEffect(() => {
+        // Switch once per new selection so the user can still change tabs afterwards
+        if (!lastSelected || followedFeatureRef.current === lastSelected) return;
+
+        const table = tables.find(item => item.features.includes(lastSelected));
+        if (table) {
+            followedFeatureRef.current = lastSelected;
+            setActiveTableId(table.id);
+        }
+    }, [lastSelected, tables]);
+
+    useEffect(() => {
+        const body = bodyRef.current;
+        const index = rows.indexOf(lastSelected);
+        if (!body || index < 0) return;
+
+        // Rows start below the sticky header row
+        const rowTop = (index + 1) * ROW_HEIGHT;
+        if (rowTop < body.scrollTop + ROW_HEIGHT || rowTop + ROW_HEIGHT > body.scrollTop + BODY_HEIGHT) {
+            body.scrollTop = rowTop - BODY_HEIGHT / 2 + ROW_HEIGHT / 2;
+        }
+    }, [lastSelected, rows]);
+
+    const toggleSort = (column) => {
+        setSort(previous => ({
+            column,
+            descending: previous.column === column ? !previous.descending : false,
+        }));
+    };
+
+    const toggleColumn = (column) => {
+        const hidden = hiddenColumns[activeTable.id] || [];
+        setHiddenColumns({
+            ...hiddenColumns,
+            [activeTable.id]: hidden.includes(column)
+                ? hidden.filter(item => item !== column)
+                : [...hidden, column],
+        });
+    };
+
+    // Only the rows inside the scrolled window are rendered
+    const firstRow = Math.max(Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN_ROWS, 0);
+    const lastRow = Math.min(Math.ceil((scrollTop + BODY_HEIGHT) / ROW_HEIGHT) + OVERSCAN_ROWS, rows.length);
+    const visibleRows = rows.slice(firstRow, lastRow);
+
+    return (
+        <div className="absolute bottom-4 left-1/2 transform -translate-x-1/2 z-20 bg-white rounded-lg shadow-lg border border-gray-200 overflow-hidden w-[44rem] max-w-[calc(100%-2rem)]" dir="rtl">
+            <div className="flex items-center gap-2 px-3 py-2 border-b border-gray-200">
+                <div className="text-sm font-semibold text-gray-700">טבלת מאפיינים</div>
+
+                {tables.length > 1 && (
+                    <div className="flex gap-1">
+                        {tables.map(table => (
+                            <button
+                                key={table.id}
+                                onClick={() => setActiveTableId(table.id)}
+                                className={`px-2 py-0.5 text-xs rounded transition-colors ${
+                                    table.id === activeTable?.id
+                                        ? 'bg-blue-100 text-blue-700 font-medium'
+                                        : 'hover:bg-gray-50 text-gray-600'
+                                }`}
+                            >
+                                {table.title}
+                            </button>
+                        ))}
+                    </div>
+                )}
+
+                <input
+                    type="text"
+                    value={filterText}
+                    onChange={(e) => setFilterText(e.target.value)}
+                    placeholder="חיפוש..."
+                    className="flex-1 min-w-0 border border-gray-200 rounded px-2 py-0.5 text-sm"
+                />
+
+                <label className="flex items-center gap-1 text-xs text-gray-600 whitespace-nowrap">
+                    <input
+                        type="checkbox"
+                        checked={inViewOnly}
+                        onChange={(e) => setInViewOnly(e.target.checked)}
+                    />
+                    בתצוגה בלבד
+                </label>
+
+                <div className="relative">
+                    <button
+                        onClick={() => setShowColumnMenu(!showColumnMenu)}
+                        className="p-1 rounded text-gray-500 hover:bg-gray-100"
+                        title="עמודות"
+                    >
+                        <Columns3 size={16} />
+                    </button>
+                    {showColumnMenu && (
+                        <div className="absolute left-0 top-full mt-1 z-30 bg-white rounded shadow-lg border border-gray-200 p-2 space-y-1 max-h-48 overflow-y-auto w-44">
+                            {allColumns.map(column => (
+                                <label key={column} className="flex items-center gap-2 text-xs text-gray-600">
+                                    <input
+                                        type="checkbox"
+                                        checked={columns.includes(column)}
+                                        onChange={() => toggleColumn(column)}
+                                    />
+                                    <span className="truncate">{column}</span>
+                                </label>
+                            ))}
+                        </div>
+                    )}
+                </div>
+
+                <button
+                    onClick={onClose}
+                    className="p-1 rounded text-gray-400 hover:text-gray-600 hover:bg-gray-100"
+                    title="סגור"
+                >
+                    <X size={16} />
+                </button>
+            </div>
+
+            <div
+                ref={bodyRef}
+                onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+                className="overflow-auto"
+                style={{ height: BODY_HEIGHT }}
+            >
+                <table className="w-full text-sm border-collapse">
+                    <thead className="sticky top-0 bg-gray-50 z-10">
+                        <tr>
+                            {columns.map(column => (
+                                <th
+                                    key={column}
+                                    onClick={() => toggleSort(column)}
+                                    className="text-right font-medium text-gray-600 px-3 whitespace-nowrap cursor-pointer hover:bg-gray-100 border-b border-gray-200"
+                                    style={{ height: ROW_HEIGHT }}
+                                >
+                                    <span className="inline-flex items-center gap-1">
+                                        {column}
+                                        {sort.column === column && (sort.descending ? <ArrowDown size={12} /> : <ArrowUp size={12} />)}
+                                    </span>
+                                </th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {firstRow > 0 && (
+                            <tr style={{ height: firstRow * ROW_HEIGHT }} />
+                        )}
+                        {/* Keyed by feature, as entity ids may repeat, so sorting and filtering never move row state to another row */}
+                        {visibleRows.map(feature => (
+                            <tr
+                                key={getUid(feature)}
+                                onClick={() => onRowClick(feature, activeTable.id)}
+                                className={`cursor-pointer border-b border-gray-100 ${
+                                    selectedFeatures.includes(feature) ? 'bg-pink-50' : 'hover:bg-gray-50'
+                                }`}
+                                style={{ height: ROW_HEIGHT }}
+                            >
+                                {columns.map(column => (
+                                    <td key={column} className="px-3 text-gray-700 whitespace-nowrap max-w-48 truncate">
+                                        {FormatUtils.formatValue(feature.get(column))}
+                                    </td>
+                                ))}
+                            </tr>
+                        ))}
+                        {lastRow < rows.length && (
+                            <tr style={{ height: (rows.length - lastRow) * ROW_HEIGHT }} />
+                        )}
+                    </tbody>
+                </table>
+            </div>
+
+            <div className="px-3 py-1 text-xs text-gray-400 border-t border-gray-200">
+                {rows.length} מתוך {features.length} ישויות
+            </div>
+        </div>
+    );
+};
@@ -1,7 +1,7 @@
-
-
 // src/components/BaseLayerSelector.jsx
 
+import { AlertTriangle } from 'lucide-react';
+
 export const BaseLayerSelector = ({
                                       layers,
                                       onLayerChange,
@@ -16,13 +16,21 @@ export const BaseLayerSelector = ({
                     <button
                         key={layer.id}
                         onClick={() => onLayerChange(layer.id)}
+                        disabled={Boolean(layer.error)}
+                        title={layer.error || undefined}
                         className={`w-full text-right px-3 py-2 text-sm rounded transition-colors ${
                             layer.active
                                 ? 'bg-blue-100 text-blue-700 font-medium'
                                 : 'hover:bg-gray-50 text-gray-600'
-                        }`}
+                        } disabled:cursor-not-allowed disabled:hover:bg-transparent`}
                     >
-                        {layer.name}
+                        <span className={layer.error ? 'text-gray-400' : ''}>{layer.name}</span>
+                        {layer.error && (
+                            <span className="flex items-center gap-1 text-xs text-red-600">
+                                <AlertTriangle size={12} />
+                                השכבה אינה זמינה
+                            </span>
+                        )}
                     </button>
                 ))}
             </div>
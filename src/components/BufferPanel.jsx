@@ -0,0 +1,30 @@
+// src/components/BufferPanel.jsx
+
+export const BufferPanel = ({
+                                bufferMeters,
+                                onBufferChange,
+                            }) => {
+    return (
+        <div className="absolute top-4 right-20 z-10 bg-white rounded-lg shadow-lg border border-gray-200 overflow-hidden w-48" dir="rtl">
+            <div className="px-3 py-2 text-sm font-semibold text-gray-700 border-b border-gray-200">
+                חיץ
+            </div>
+            <div className="p-2 space-y-1 text-sm text-gray-600">
+                <label className="flex justify-between items-center gap-2">
+                    מרחק (מ׳):
+                    <input
+                        type="number"
+                        min={0}
+                        step={50}
+                        value={bufferMeters}
+                        onChange={(e) => onBufferChange(Math.max(Number(e.target.value) || 0, 0))}
+                        className="w-20 border border-gray-200 rounded px-1 py-0.5"
+                    />
+                </label>
+                <div className="text-xs text-gray-400">
+                    0 = ללא חיץ
+                </div>
+            </div>
+        </div>
+    );
+};
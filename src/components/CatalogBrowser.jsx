@@ -0,0 +1,277 @@
+// src/components/CatalogBrowser.jsx
+
+import { useEffect, useRef, useState } from 'react';
+import { ChevronLeft, ChevronRight, Loader2, Plus, Search, X, ZoomIn } from 'lucide-react';
+import { CSW_QUERYABLES, DEFAULT_CATALOG } from '../constants/map.constants.js';
+import { FormatUtils } from '../utils/format.utils.js';
+
+let nextFilterId = 1;
+
+export const CatalogBrowser = ({
+                                   viewExtent,
+                                   onSearch,
+                                   onResultsChange,
+                                   hoveredRecordId,
+                                   onRecordHover,
+                                   productLayers,
+                                   onAddRecord,
+                                   onRemoveRecord,
+                                   onZoomToRecord,
+                                   onClose,
+                               }) => {
+    const [text, setText] = useState('');
+    const [propertyFilters, setPropertyFilters] = useState([]);
+    const [inExtentOnly, setInExtentOnly] = useState(false);
+    const [request, setRequest] = useState({ text: '', properties: [], startPosition: 1 });
+    const [result, setResult] = useState(null);
+    const [isSearching, setIsSearching] = useState(false);
+    const [searchError, setSearchError] = useState(null);
+
+    // Rounded so tiny view changes don't trigger a new search
+    const bboxKey = inExtentOnly && viewExtent ? viewExtent.map(value => value.toFixed(4)).join(',') : null;
+    const lastBboxKeyRef = useRef(bboxKey);
+
+    useEffect(() => {
+        // A new map extent restarts paging
+        if (lastBboxKeyRef.current !== bboxKey) {
+            lastBboxKeyRef.current = bboxKey;
+            if (request.startPosition !== 1) {
+                setRequest({ ...request, startPosition: 1 });
+                return;
+            }
+        }
+
+        let cancelled = false;
+        setIsSearching(true);
+        setSearchError(null);
+
+        onSearch({
+            text: request.text,
+            properties: request.properties,
+            bbox: bboxKey ? bboxKey.split(',').map(Number) : undefined,
+            startPosition: request.startPosition,
+            maxRecords: DEFAULT_CATALOG.PAGE_SIZE,
+        })
+            .then((searchResult) => {
+                if (cancelled) return;
+                setResult(searchResult);
+                onResultsChange(searchResult.records);
+            })
+            .catch((error) => {
+                if (cancelled) return;
+                setResult(null);
+                setSearchError(error.message);
+                onResultsChange([]);
+            })
+            .finally(() => {
+                if (!cancelled) {
+                    setIsSearching(false);
+                }
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [request, bboxKey, onSearch, onResultsChange]);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        setRequest({
+            text,
+            properties: propertyFilters
+                .filter(filter => filter.value.trim())
+                .map(filter => ({
+                    name: filter.name,
+                    value: filter.value.trim(),
+                    like: CSW_QUERYABLES.find(queryable => queryable.id === filter.name)?.like,
+                })),
+            startPosition: 1,
+        });
+    };
+
+    const updateFilter = (id, changes) => {
+        setPropertyFilters(propertyFilters.map(filter => (filter.id === id ? { ...filter, ...changes } : filter)));
+    };
+
+    const records = result?.records || [];
+    const firstShown = request.startPosition;
+    const lastShown = request.startPosition + records.length - 1;
+
+    return (
+        <div className="absolute top-4 left-56 z-10 bg-white rounded-lg shadow-lg border border-gray-200 overflow-hidden w-80" dir="rtl">
+            <div className="px-3 py-2 text-sm font-semibold text-gray-700 border-b border-gray-200 flex justify-between items-center">
+                <span>קטלוג מוצרים</span>
+                <button
+                    onClick={onClose}
+                    className="p-0.5 rounded text-gray-400 hover:text-gray-600 hover:bg-gray-100"
+                    title="סגור"
+                >
+                    <X size={14} />
+                </button>
+            </div>
+
+            <form onSubmit={handleSubmit} className="p-2 space-y-2 text-sm text-gray-600 border-b border-gray-200">
+                <div className="flex gap-1">
+                    <input
+                        type="text"
+                        value={text}
+                        onChange={(e) => setText(e.target.value)}
+                        placeholder="חיפוש חופשי..."
+                        className="flex-1 min-w-0 border border-gray-200 rounded px-2 py-0.5"
+                    />
+                    <button
+                        type="submit"
+                        className="px-2 rounded bg-blue-600 text-white hover:bg-blue-700"
+                        title="חפש"
+                    >
+                        <Search size={14} />
+                    </button>
+                </div>
+
+                {propertyFilters.map(filter => (
+                    <div key={filter.id} className="flex items-center gap-1">
+                        <select
+                            value={filter.name}
+                            onChange={(e) => updateFilter(filter.id, { name: e.target.value })}
+                            className="w-28 border border-gray-200 rounded px-1 py-0.5"
+                        >
+                            {CSW_QUERYABLES.map(queryable => (
+                                <option key={queryable.id} value={queryable.id}>{queryable.name}</option>
+                            ))}
+                        </select>
+                        <input
+                            type="text"
+                            value={filter.value}
+                            onChange={(e) => updateFilter(filter.id, { value: e.target.value })}
+                            placeholder="ערך"
+                            className="flex-1 min-w-0 border border-gray-200 rounded px-1 py-0.5"
+                        />
+                        <button
+                            type="button"
+                            onClick={() => setPropertyFilters(propertyFilters.filter(item => item.id !== filter.id))}
+                            className="p-1 rounded text-gray-400 hover:text-red-600 hover:bg-gray-100"
+                            title="הסר מסנן"
+                        >
+                            <X size={14} />
+                        </button>
+                    </div>
+                ))}
+
+                <div className="flex justify-between items-center">
+                    <button
+                        type="button"
+                        onClick={() => setPropertyFilters([
+                            ...propertyFilters,
+                            { id: nextFilterId++, name: CSW_QUERYABLES[0].id, value: '' },
+                        ])}
+                        className="flex items-center gap-1 text-blue-600 hover:text-blue-800"
+                    >
+                        <Plus size={14} />
+                        מסנן מאפיין
+                    </button>
+                    <label className="flex items-center gap-1 text-xs">
+                        <input
+                            type="checkbox"
+                            checked={inExtentOnly}
+                            onChange={(e) => setInExtentOnly(e.target.checked)}
+                        />
+                        בתחום המפה בלבד
+                    </label>
+                </div>
+            </form>
+
+            <div className="max-h-72 overflow-y-auto">
+                {searchError && (
+                    <div className="px-3 py-2 text-xs text-red-600">שגיאה בחיפוש בקטלוג: {searchError}</div>
+                )}
+                {!searchError && !isSearching && records.length === 0 && (
+                    <div className="px-3 py-2 text-xs text-gray-400">לא נמצאו מוצרים</div>
+                )}
+
+                {records.map((record) => {
+                    const productLayer = productLayers[record.identifier];
+                    const date = FormatUtils.formatDate(record.imagingTimeEnd);
+
+                    return (
+                        <div
+                            key={record.identifier}
+                            onMouseEnter={() => onRecordHover(record.identifier)}
+                            onMouseLeave={() => onRecordHover(null)}
+                            className={`px-3 py-2 border-b border-gray-100 text-sm flex items-start gap-2 ${
+                                hoveredRecordId === record.identifier ? 'bg-violet-50' : ''
+                            }`}
+                        >
+                            <div className="flex-1 min-w-0">
+                                <div className="font-medium text-gray-700 truncate" title={record.title}>
+                                    {record.title || record.identifier}
+                                </div>
+                                <div className="text-xs text-gray-500 truncate">
+                                    {[record.type, record.region, date].filter(Boolean).join(' · ')}
+                                </div>
+                                {productLayer?.error && (
+                                    <div className="text-xs text-red-600 truncate" title={productLayer.error}>
+                                        הוספת השכבה נכשלה
+                                    </div>
+                                )}
+                            </div>
+
+                            {(record.footprint || record.boundingBox) && (
+                                <button
+                                    onClick={() => onZoomToRecord(record)}
+                                    className="p-1 rounded text-gray-400 hover:text-blue-600 hover:bg-gray-100"
+                                    title="התמקד במוצר"
+                                >
+                                    <ZoomIn size={14} />
+                                </button>
+                            )}
+
+                            {productLayer?.status === 'loading' ? (
+                                <Loader2 size={16} className="animate-spin text-gray-400 mt-0.5" />
+                            ) : (
+                                <button
+                                    onClick={() => (productLayer?.status === 'loaded'
+                                        ? onRemoveRecord(record.identifier)
+                                        : onAddRecord(record))}
+                                    className={`px-2 py-0.5 rounded text-xs whitespace-nowrap ${
+                                        productLayer?.status === 'loaded'
+                                            ? 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                                            : 'bg-blue-50 text-blue-700 hover:bg-blue-100'
+                                    }`}
+                                >
+                                    {productLayer?.status === 'loaded' ? 'הסר' : 'הוסף למפה'}
+                                </button>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+
+            {result && result.matched > 0 && (
+                <div className="px-3 py-1 text-xs text-gray-500 border-t border-gray-200 flex justify-between items-center">
+                    <span>{firstShown}-{lastShown} מתוך {result.matched}</span>
+                    <div className="flex gap-1">
+                        <button
+                            onClick={() => setRequest({
+                                ...request,
+                                startPosition: Math.max(request.startPosition - DEFAULT_CATALOG.PAGE_SIZE, 1),
+                            })}
+                            disabled={isSearching || request.startPosition <= 1}
+                            className="p-0.5 rounded hover:bg-gray-100 disabled:opacity-40 disabled:cursor-not-allowed"
+                            title="הקודם"
+                        >
+                            <ChevronRight size={14} />
+                        </button>
+                        <button
+                            onClick={() => setRequest({ ...request, startPosition: result.nextRecord })}
+                            disabled={isSearching || !result.nextRecord || result.nextRecord > result.matched}
+                            className="p-0.5 rounded hover:bg-gray-100 disabled:opacity-40 disabled:cursor-not-allowed"
+                            title="הבא"
+                        >
+                            <ChevronLeft size={14} />
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
@@ -0,0 +1,59 @@
+// src/components/FeaturePopup.jsx
+
+import { X } from 'lucide-react';
+import { FormatUtils } from '../utils/format.utils.js';
+
+export const FeaturePopup = ({
+                                 title,
+                                 layerTitle,
+                                 properties,
+                                 feature,
+                                 onClose,
+                                 renderPopup = null,
+                             }) => {
+    return (
+        <div className="relative bg-white rounded-lg shadow-lg border border-gray-200 min-w-56 max-w-80" dir="rtl">
+            <div className="flex justify-between items-start gap-2 px-3 py-2 border-b border-gray-200">
+                <div className="min-w-0">
+                    <div className="text-sm font-semibold text-gray-700 truncate">{title}</div>
+                    {layerTitle && (
+                        <div className="text-xs text-gray-400 truncate">{layerTitle}</div>
+                    )}
+                </div>
+                <button
+                    onClick={onClose}
+                    className="p-0.5 rounded text-gray-400 hover:text-gray-600 hover:bg-gray-100"
+                    title="סגור (Esc)"
+                >
+                    <X size={16} />
+                </button>
+            </div>
+
+            <div className="max-h-64 overflow-y-auto">
+                {renderPopup ? (
+                    <div className="p-3 text-sm text-gray-600">
+                        {renderPopup(properties, { feature, layerTitle, close: onClose })}
+                    </div>
+                ) : (
+                    <table className="w-full text-sm">
+                        <tbody>
+                            {Object.entries(properties).map(([key, value]) => (
+                                <tr key={key} className="border-b border-gray-100 last:border-b-0">
+                                    <th className="text-right font-medium text-gray-500 px-3 py-1 align-top whitespace-nowrap">
+                                        {key}
+                                    </th>
+                                    <td className="text-gray-700 px-3 py-1 break-words">
+                                        {FormatUtils.formatValue(value)}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+
+            {/* Arrow pointing at the feature */}
+            <div className="absolute left-1/2 -bottom-2 -translate-x-1/2 w-4 h-4 rotate-45 bg-white border-b border-r border-gray-200" />
+        </div>
+    );
+};
@@ -0,0 +1,184 @@
+// src/components/FilterPanel.jsx
+
+import { useMemo } from 'react';
+import { Plus, X } from 'lucide-react';
+
+const PROPERTY_SAMPLE_SIZE = 500;
+const MAX_SUGGESTED_VALUES = 50;
+
+const OPERATORS = [
+    { id: '==', name: 'שווה ל' },
+    { id: '!=', name: 'שונה מ' },
+    { id: '>', name: 'גדול מ' },
+    { id: '>=', name: 'גדול או שווה ל' },
+    { id: '<', name: 'קטן מ' },
+    { id: '<=', name: 'קטן או שווה ל' },
+    { id: 'contains', name: 'מכיל' },
+    { id: 'has', name: 'קיים ערך' },
+];
+
+let nextConditionId = 1;
+
+/**
+ * Gets the property keys of a list of features with a sample of the values of each
+ */
+const getProperties = (features) => {
+    const properties = new Map();
+    features.slice(0, PROPERTY_SAMPLE_SIZE).forEach((feature) => {
+        const geometryName = feature.getGeometryName();
+        Object.entries(feature.getProperties()).forEach(([key, value]) => {
+            if (key === geometryName) return;
+
+            if (!properties.has(key)) {
+                properties.set(key, new Set());
+            }
+            const values = properties.get(key);
+            if (value !== null && value !== undefined && typeof value !== 'object' && values.size < MAX_SUGGESTED_VALUES) {
+                values.add(String(value));
+            }
+        });
+    });
+    return properties;
+};
+
+export const FilterPanel = ({
+                                features,
+                                conditions,
+                                match,
+                                shownCount,
+                                onFilterChange,
+                                onClose,
+                            }) => {
+    const properties = useMemo(() => getProperties(features), [features]);
+    const propertyKeys = [...properties.keys()];
+
+    const updateCondition = (id, changes) => {
+        onFilterChange({
+            match,
+            conditions: conditions.map(condition => (condition.id === id ? { ...condition, ...changes } : condition)),
+        });
+    };
+
+    const addCondition = () => {
+        onFilterChange({
+            match,
+            conditions: [...conditions, { id: nextConditionId++, property: propertyKeys[0] || '', operator: '==', value: '' }],
+        });
+    };
+
+    const removeCondition = (id) => {
+        onFilterChange({ match, conditions: conditions.filter(condition => condition.id !== id) });
+    };
+
+    return (
+        <div className="absolute top-48 right-20 z-10 bg-white rounded-lg shadow-lg border border-gray-200 overflow-hidden w-96" dir="rtl">
+            <div className="px-3 py-2 text-sm font-semibold text-gray-700 border-b border-gray-200 flex justify-between items-center">
+                <span>סינון ישויות</span>
+                <div className="flex items-center gap-2">
+                    <span className="font-mono text-blue-600">{shownCount} / {features.length}</span>
+                    <button
+                        onClick={onClose}
+                        className="p-0.5 rounded text-gray-400 hover:text-gray-600 hover:bg-gray-100"
+                        title="סגור"
+                    >
+                        <X size={14} />
+                    </button>
+                </div>
+            </div>
+
+            <div className="p-2 space-y-2 text-sm text-gray-600">
+                {conditions.length > 1 && (
+                    <div className="flex items-center gap-3">
+                        <span>הצג ישויות העונות על</span>
+                        {[
+                            { id: 'all', name: 'כל התנאים' },
+                            { id: 'any', name: 'תנאי אחד לפחות' },
+                        ].map((option) => (
+                            <label key={option.id} className="flex items-center gap-1">
+                                <input
+                                    type="radio"
+                                    name="filterMatch"
+                                    checked={match === option.id}
+                                    onChange={() => onFilterChange({ match: option.id, conditions })}
+                                />
+                                {option.name}
+                            </label>
+                        ))}
+                    </div>
+                )}
+
+                {conditions.map(condition => (
+                    <div key={condition.id} className="flex items-center gap-1">
+                        <select
+                            value={condition.property}
+                            onChange={(e) => updateCondition(condition.id, { property: e.target.value })}
+                            className="w-28 border border-gray-200 rounded px-1 py-0.5"
+                        >
+                            {!propertyKeys.includes(condition.property) && (
+                                <option value={condition.property}>{condition.property}</option>
+                            )}
+                            {propertyKeys.map(key => (
+                                <option key={key} value={key}>{key}</option>
+                            ))}
+                        </select>
+
+                        <select
+                            value={condition.operator}
+                            onChange={(e) => updateCondition(condition.id, { operator: e.target.value })}
+                            className="w-28 border border-gray-200 rounded px-1 py-0.5"
+                        >
+                            {OPERATORS.map(operator => (
+                                <option key={operator.id} value={operator.id}>{operator.name}</option>
+                            ))}
+                        </select>
+
+                        {condition.operator !== 'has' && (
+                            <>
+                                <input
+                                    type="text"
+                                    list={`filter-values-${condition.id}`}
+                                    value={condition.value}
+                                    onChange={(e) => updateCondition(condition.id, { value: e.target.value })}
+                                    placeholder="ערך"
+                                    className="flex-1 min-w-0 border border-gray-200 rounded px-1 py-0.5"
+                                />
+                                <datalist id={`filter-values-${condition.id}`}>
+                                    {[...(properties.get(condition.property) || [])].map(value => (
+                                        <option key={value} value={value} />
+                                    ))}
+                                </datalist>
+                            </>
+                        )}
+
+                        <button
+                            onClick={() => removeCondition(condition.id)}
+                            className="p-1 rounded text-gray-400 hover:text-red-600 hover:bg-gray-100"
+                            title="הסר תנאי"
+                        >
+                            <X size={14} />
+                        </button>
+                    </div>
+                ))}
+
+                <div className="flex justify-between pt-1">
+                    <button
+                        onClick={addCondition}
+                        disabled={propertyKeys.length === 0}
+                        className="flex items-center gap-1 text-blue-600 hover:text-blue-800 disabled:opacity-40 disabled:cursor-not-allowed"
+                    >
+                        <Plus size={14} />
+                        הוסף תנאי
+                    </button>
+                    {conditions.length > 0 && (
+                        <button
+                            onClick={() => onFilterChange({ match, conditions: [] })}
+                            className="text-gray-500 hover:text-gray-700"
+                        >
+                            נקה סינון
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
@@ -0,0 +1,61 @@
+// src/components/Legend.jsx
+
+import { useState } from 'react';
+import { ChevronDown, ChevronUp } from 'lucide-react';
+
+const LegendSwatch = ({ entry }) => {
+    if (entry.icon) {
+        return <img src={entry.icon} alt="" className="w-4 h-4 object-contain" />;
+    }
+
+    const dashArray = entry.lineDash?.map(value => value / 2).join(' ');
+
+    return (
+        <svg width="16" height="16" viewBox="0 0 16 16" className="shrink-0">
+            {entry.geometryType === 'Point' && (
+                <circle cx="8" cy="8" r="5" fill={entry.fill} stroke={entry.stroke} strokeWidth={Math.min(entry.strokeWidth, 3)} />
+            )}
+            {entry.geometryType === 'LineString' && (
+                <line x1="1" y1="8" x2="15" y2="8" stroke={entry.stroke} strokeWidth={Math.min(entry.strokeWidth, 4)} strokeDasharray={dashArray} />
+            )}
+            {entry.geometryType === 'Polygon' && (
+                <rect x="2" y="2" width="12" height="12" fill={entry.fill} stroke={entry.stroke} strokeWidth={Math.min(entry.strokeWidth, 3)} strokeDasharray={dashArray} />
+            )}
+        </svg>
+    );
+};
+
+export const Legend = ({
+                           groups,
+                       }) => {
+    const [collapsed, setCollapsed] = useState(false);
+
+    if (groups.length === 0) return null;
+
+    return (
+        <div className="absolute bottom-48 left-4 z-10 bg-white rounded-lg shadow-lg border border-gray-200 overflow-hidden w-52" dir="rtl">
+            <button
+                onClick={() => setCollapsed(!collapsed)}
+                className="w-full flex justify-between items-center px-3 py-2 text-sm font-semibold text-gray-700 border-b border-gray-200 hover:bg-gray-50"
+            >
+                מקרא
+                {collapsed ? <ChevronDown size={16} /> : <ChevronUp size={16} />}
+            </button>
+            {!collapsed && (
+                <div className="p-2 space-y-2 max-h-64 overflow-y-auto">
+                    {groups.map((group) => (
+                        <div key={group.id}>
+                            <div className="text-xs font-medium text-gray-500 mb-1">{group.title}</div>
+                            {group.entries.map((entry, index) => (
+                                <div key={index} className="flex items-center gap-2 text-sm text-gray-600">
+                                    <LegendSwatch entry={entry} />
+                                    <span className="truncate">{entry.label}</span>
+                                </div>
+                            ))}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
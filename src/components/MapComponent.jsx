@@ -1,17 +1,47 @@
 // src/components/MapComponent.jsx
 
-import React, { useEffect, useState, useCallback, useMemo } from 'react';
+import React, { useEffect, useState, useCallback, useMemo, useRef } from 'react';
+import { createPortal } from 'react-dom';
+import { Overlay } from 'ol';
 import { Vector as VectorLayer, Tile as TileLayer } from 'ol/layer';
 import { Vector as VectorSource, WMTS } from 'ol/source';
 
 import { useMapInitialization, useMapControls, useCoordinateDisplay, useFeatureSelection } from '../hooks/useMapInitialization.js';
 import { LayerManager } from '../services/layer-manager.service.js';
 import { WMTSService } from '../services/wmts.service.js';
+import { WMTSConfigService } from '../services/wmts-config.service.ts';
 import { DrawingService } from '../services/drawing.service.js';
+import { MeasurementService } from '../services/measurement.service.js';
+import { SpatialQueryService } from '../services/spatial-query.service.js';
+import { StyleSpecService } from '../services/style-spec.service.js';
+import { LegendService } from '../services/legend.service.js';
 import { MapControls } from './MapControls.jsx';
 import { CoordinateDisplay } from './CoordinateDisplay.jsx';
 import { BaseLayerSelector } from './BaseLayerSelector.jsx';
-import { MAP_CONSTANTS, DRAWING_MODES, BASE_LAYER_CONFIGS } from '../constants/map.constants.js';
+import { MeasurementPanel } from './MeasurementPanel.jsx';
+import { SnapSettingsPanel } from './SnapSettingsPanel.jsx';
+import { SpatialQueryPanel } from './SpatialQueryPanel.jsx';
+import { BufferPanel } from './BufferPanel.jsx';
+import { RenderModeSelector } from './RenderModeSelector.jsx';
+import { Legend } from './Legend.jsx';
+import { FeaturePopup } from './FeaturePopup.jsx';
+import { AttributeTable } from './AttributeTable.jsx';
+import { FilterPanel } from './FilterPanel.jsx';
+import { CatalogBrowser } from './CatalogBrowser.jsx';
+import { ExpressionUtils } from '../utils/expression.utils.js';
+import { FormatUtils } from '../utils/format.utils.js';
+import {
+    MAP_CONSTANTS,
+    DRAWING_MODES,
+    MEASURE_TYPES,
+    BASE_LAYER_PRODUCTS,
+    DEFAULT_SNAPPING,
+    DEFAULT_SPATIAL_QUERY,
+    SNAP_TARGETS,
+    RENDER_MODES,
+    AGGREGATION_TYPES,
+    AUTH_STATUS,
+} from '../constants/map.constants.js';
 
 const MAP_ELEMENT_ID = 'openlayers-map';
 
@@ -19,21 +49,89 @@ export const MapComponent = ({
                                  mainLayer,
                                  layerCenter,
                                  selectedRowIndex,
+                                 selectedRowIds = null,
                                  setSelectedEntity,
+                                 onSelectionChange = null,
                                  layerName = 'layer',
                                  otherLayersGeometry = null,
                                  onPolygonDraw = null,
+                                 onDrawingChange = null,
+                                 initialDrawing = null,
+                                 drawingValidation = null,
+                                 snapping = null,
+                                 onFeaturesInArea = null,
+                                 bufferDistance = 0,
+                                 clustering = null,
+                                 aggregation = null,
                                  entityIdColumn = MAP_CONSTANTS.DEFAULT_ENTITY_ID_COLUMN,
                                  entityColor = null,
+                                 styleSpec = null,
+                                 labels = null,
+                                 otherLayersLabels = null,
+                                 tooltipField = null,
+                                 renderPopup = null,
+                                 attributeTable = null,
+                                 featureFilter = null,
+                                 filterPanel = false,
+                                 baseLayerProducts = BASE_LAYER_PRODUCTS,
+                                 catalogBrowser = false,
+                                 productFootprints = false,
+                                 clipProductsToFootprint = false,
+                                 authProvider = null,
                              }) => {
     // Services
     const layerManager = useMemo(() => new LayerManager(), []);
     const drawingService = useMemo(() => new DrawingService(), []);
+    const measurementService = useMemo(() => new MeasurementService(), []);
+    const spatialQueryService = useMemo(() => new SpatialQueryService(), []);
+    const styleSpecService = useMemo(() => new StyleSpecService(), []);
+    const legendService = useMemo(() => new LegendService(layerManager), [layerManager]);
 
     // State
-    const [selectedBaseLayer, setSelectedBaseLayer] = useState('satellite');
+    const [selectedBaseLayer, setSelectedBaseLayer] = useState(null);
     const [currentDrawingMode, setCurrentDrawingMode] = useState(DRAWING_MODES.NONE);
-    const [baseLayers, setBaseLayers] = useState({});
+    const [measureType, setMeasureType] = useState(MEASURE_TYPES.DISTANCE);
+    const [measureUnits, setMeasureUnits] = useState({
+        length: measurementService.lengthUnit.id,
+        area: measurementService.areaUnit.id,
+    });
+    const [drawingHistory, setDrawingHistory] = useState({ canUndo: false, canRedo: false });
+    const [selectedDrawingIds, setSelectedDrawingIds] = useState([]);
+    const [drawingRevision, setDrawingRevision] = useState(0);
+    const [bufferMeters, setBufferMeters] = useState(bufferDistance);
+    const [spatialQuery, setSpatialQuery] = useState({
+        enabled: DEFAULT_SPATIAL_QUERY.ENABLED,
+        predicate: DEFAULT_SPATIAL_QUERY.PREDICATE,
+        bufferMeters: DEFAULT_SPATIAL_QUERY.BUFFER_METERS,
+    });
+    const [featuresInAreaCount, setFeaturesInAreaCount] = useState(0);
+    const [renderMode, setRenderMode] = useState(aggregation?.renderMode || RENDER_MODES.FEATURES);
+    const [hoveredCell, setHoveredCell] = useState(null);
+    const [legendGroups, setLegendGroups] = useState([]);
+    const [hoveredFeature, setHoveredFeature] = useState(null);
+    const [popup, setPopup] = useState(null);
+    const [selectedFeatures, setSelectedFeatures] = useState([]);
+    const [attributeTableOpen, setAttributeTableOpen] = useState(Boolean(attributeTable?.open));
+    const [tableRevision, setTableRevision] = useState(0);
+    const [viewExtent, setViewExtent] = useState(null);
+    const [filterPanelOpen, setFilterPanelOpen] = useState(false);
+    const [panelFilterState, setPanelFilterState] = useState({ match: 'all', conditions: [] });
+    const [filterStats, setFilterStats] = useState({ features: [], shownCount: 0 });
+    const [catalogOpen, setCatalogOpen] = useState(false);
+    const [catalogRecords, setCatalogRecords] = useState([]);
+    const [hoveredRecordId, setHoveredRecordId] = useState(null);
+    const [productLayers, setProductLayers] = useState({});
+    const [hoveredProduct, setHoveredProduct] = useState(null);
+    const [authStatus, setAuthStatus] = useState(() => authProvider?.getStatus() ?? AUTH_STATUS.VALID);
+    const [snapOptions, setSnapOptions] = useState(() => ({
+        enabled: DEFAULT_SNAPPING.ENABLED,
+        pixelTolerance: DEFAULT_SNAPPING.PIXEL_TOLERANCE,
+        vertex: DEFAULT_SNAPPING.VERTEX,
+        edge: DEFAULT_SNAPPING.EDGE,
+        targets: DEFAULT_SNAPPING.TARGETS,
+        ...snapping,
+    }));
+    const [baseLayers, setBaseLayers] = useState([]);
     const [mainVectorLayer, setMainVectorLayer] = useState(null);
     const [otherVectorLayer, setOtherVectorLayer] = useState(null);
     const [isLoadingLayers, setIsLoadingLayers] = useState(true);
@@ -48,70 +146,139 @@ export const MapComponent = ({
     const { zoomIn, zoomOut, fitToLayer } = useMapControls(map);
     const coordinates = useCoordinateDisplay(map);
 
+    // Expand a clicked cluster by zooming to the extent of its features
+    const handleClusterSelect = useCallback((cluster) => {
+        if (!map) return;
+
+        try {
+            map.getView().fit(layerManager.getClusterExtent(cluster), {
+                duration: MAP_CONSTANTS.ANIMATION_DURATION,
+                padding: [50, 50, 50, 50],
+            });
+        } catch (error) {
+            console.error('Failed to expand cluster:', error);
+        }
+    }, [map, layerManager]);
+
+    // Report selections made on the map
+    const handleSelectionChange = useCallback((features) => {
+        setSelectedFeatures(features);
+
+        if (onSelectionChange) {
+            onSelectionChange(features.map(feature => layerManager.getFeatureAttributes(feature)));
+        }
+    }, [onSelectionChange, layerManager]);
+
     useFeatureSelection(map, useCallback((featureProperties) => {
         setSelectedEntity(featureProperties);
-    }, [setSelectedEntity]));
+    }, [setSelectedEntity]), handleClusterSelect, selectedFeatures, handleSelectionChange);
+
+    // Catalog and capabilities requests go through the same auth provider as the tiles
+    useEffect(() => {
+        WMTSConfigService.setAuthProvider(authProvider);
+
+        return () => {
+            WMTSConfigService.setAuthProvider(null);
+        };
+    }, [authProvider]);
+
+    // Follow the session, reloading the raster tiles that failed once it is renewed
+    useEffect(() => {
+        if (!authProvider) return;
+
+        setAuthStatus(authProvider.getStatus());
+
+        const handleStatusChange = (event) => {
+            const status = authProvider.getStatus();
+            setAuthStatus(status);
+
+            if (map && event.oldValue === AUTH_STATUS.EXPIRED && status === AUTH_STATUS.VALID) {
+                WMTSService.reloadTiles(map.getLayers().getArray());
+            }
+        };
+        authProvider.on('change:status', handleStatusChange);
+
+        return () => {
+            authProvider.un('change:status', handleStatusChange);
+        };
+    }, [map, authProvider]);
+
+    // Initialize base layers from the catalog products
+    // Compared by content so an inline products array does not reload the catalog on every render
+    const baseLayerProductsKey = JSON.stringify(baseLayerProducts);
 
-    // Initialize base layers
     useEffect(() => {
         if (!isMapReady || !map) return;
 
+        let cancelled = false;
+        const addedLayers = [];
+
         const initializeBaseLayers = async () => {
             setIsLoadingLayers(true);
-            setLayerError(null);
 
             try {
-                // TODO: Replace with actual WMTS URLs from your server
-                const layerConfigs = {
-                    osm: {
-                        ...BASE_LAYER_CONFIGS.OSM,
-                        url: 'https://your-server.com/wmts/osm/{TileMatrixSet}/{TileMatrix}/{TileCol}/{TileRow}.jpeg',
-                    },
-                    satellite: {
-                        ...BASE_LAYER_CONFIGS.SATELLITE,
-                        url: 'https://your-server.com/wmts/satellite/{TileMatrixSet}/{TileMatrix}/{TileCol}/{TileRow}.jpeg',
-                    },
-                    roads: {
-                        ...BASE_LAYER_CONFIGS.ROADS,
-                        url: 'https://your-server.com/wmts/roads/{TileMatrixSet}/{TileMatrix}/{TileCol}/{TileRow}.jpeg',
-                    },
-                };
+                const configs = await WMTSConfigService.getConfiguredBaseLayers(JSON.parse(baseLayerProductsKey) ?? BASE_LAYER_PRODUCTS);
+                if (cancelled) return;
 
-                const layers = {};
+                // Products that failed keep their entry, so the selector can show why they are unavailable
+                const entries = configs.map((config) => {
+                    if (config.error) {
+                        return { id: config.id, name: config.name, layer: null, error: config.error };
+                    }
 
-                Object.entries(layerConfigs).forEach(([key, config]) => {
                     try {
-                        const layer = WMTSService.createWMTSLayer(config);
-                        layers[key] = layer;
-                        map.addLayer(layer);
+                        const layer = WMTSService.createWMTSLayer(config, authProvider);
+                        layer.set('productRecord', config.record);
+                        // Base layers go below the vector layers, which may have been added while loading
+                        map.getLayers().insertAt(addedLayers.length, layer);
+                        addedLayers.push(layer);
+                        return { id: config.id, name: config.name, layer, error: null };
                     } catch (error) {
-                        console.warn(`Failed to create layer ${key}:`, error);
+                        console.warn(`Failed to create layer ${config.id}:`, error);
+                        return { id: config.id, name: config.name, layer: null, error: error.message };
                     }
                 });
 
-                setBaseLayers(layers);
+                setBaseLayers(entries);
 
                 // Set default visible layer
-                if (layers[selectedBaseLayer]) {
-                    layers[selectedBaseLayer].setVisible(true);
+                const defaultEntry = entries.find(entry => entry.layer);
+                if (defaultEntry) {
+                    defaultEntry.layer.setVisible(true);
+                    setSelectedBaseLayer(defaultEntry.id);
                 }
             } catch (error) {
                 console.error('Failed to initialize base layers:', error);
-                setLayerError('Failed to load base layers');
             } finally {
-                setIsLoadingLayers(false);
+                if (!cancelled) {
+                    setIsLoadingLayers(false);
+                }
             }
         };
 
         initializeBaseLayers();
-    }, [isMapReady, map, selectedBaseLayer]);
 
-    // Handle main layer
+        return () => {
+            cancelled = true;
+            addedLayers.forEach(layer => map.removeLayer(layer));
+        };
+    }, [isMapReady, map, baseLayerProductsKey, authProvider]);
+
+    // Handle main layer - it is only recreated for styling changes, data changes are applied in place below
+    const hasMainLayer = Boolean(mainLayer);
+    const mainLayerRef = useRef(mainLayer);
+    mainLayerRef.current = mainLayer;
+    const mainLayerFittedRef = useRef(false);
+
+    // Options are compared by content so inline objects do not rebuild the layer on every render
+    const clusteringKey = JSON.stringify(clustering ?? null);
+    const styleSpecKey = JSON.stringify(styleSpec ?? null);
+
     useEffect(() => {
-        if (!isMapReady || !map || !mainLayer) return;
+        if (!isMapReady || !map || !hasMainLayer) return;
 
         try {
-            const styleFunction = entityColor ? (feature, defaultColor) => {
+            let styleFunction = entityColor ? (feature, defaultColor) => {
                 try {
                     return entityColor(feature.getProperties(), defaultColor);
                 } catch (error) {
@@ -126,18 +293,26 @@ export const MapComponent = ({
                 }
             } : undefined;
 
-            const vectorLayer = layerManager.createVectorLayer(mainLayer, layerName, styleFunction);
+            // A declarative style spec takes precedence over the entityColor callback
+            const spec = JSON.parse(styleSpecKey);
+            if (spec) {
+                styleFunction = styleSpecService.createStyleFunction(spec);
+            }
+
+            const vectorLayer = layerManager.createVectorLayer({ type: 'FeatureCollection', features: [] }, layerName, styleFunction, {
+                cluster: JSON.parse(clusteringKey),
+            });
+            layerManager.updateLayerFeatures(vectorLayer, mainLayerRef.current, entityIdColumn);
+            vectorLayer.set('title', layerName);
+            // A rebuilt layer may show a different dataset, so it is fitted again
+            mainLayerFittedRef.current = false;
+            vectorLayer.set('styleSpec', spec);
             setMainVectorLayer(vectorLayer);
             map.addLayer(vectorLayer);
-
-            // Auto-fit to layer if no specific center provided
-            if (!layerCenter) {
-                setTimeout(() => {
-                    layerManager.fitToLayerExtent(map, vectorLayer);
-                }, 100);
-            }
+            drawingService.setSnapLayer(map, SNAP_TARGETS.MAIN, vectorLayer);
 
             return () => {
+                drawingService.setSnapLayer(map, SNAP_TARGETS.MAIN, null);
                 if (map.getLayers().getArray().includes(vectorLayer)) {
                     map.removeLayer(vectorLayer);
                 }
@@ -146,7 +321,48 @@ export const MapComponent = ({
             console.error('Failed to create main layer:', error);
             setLayerError('Failed to load main data layer');
         }
-    }, [isMapReady, map, mainLayer, layerName, entityColor, layerManager, layerCenter]);
+    }, [
+        isMapReady,
+        map,
+        hasMainLayer,
+        layerName,
+        entityIdColumn,
+        entityColor,
+        styleSpecKey,
+        clusteringKey,
+        layerManager,
+        drawingService,
+        styleSpecService,
+    ]);
+
+    // Apply main layer data changes as feature additions, updates and removals
+    // Only whether a center was given matters here, so an inline center does not re-run the diff
+    const hasLayerCenter = Boolean(layerCenter);
+
+    useEffect(() => {
+        if (!map || !mainVectorLayer || !mainLayer) return;
+
+        try {
+            const { removed } = layerManager.updateLayerFeatures(mainVectorLayer, mainLayer, entityIdColumn);
+
+            if (removed.length > 0) {
+                setSelectedFeatures(previous => previous.filter(feature => !removed.includes(feature)));
+                setPopup(previous => (previous && removed.includes(previous.feature) ? null : previous));
+            }
+
+            // Auto-fit to layer once data arrives if no specific center provided
+            const hasFeatures = layerManager.getFeatureSource(mainVectorLayer).getFeatures().length > 0;
+            if (!mainLayerFittedRef.current && hasFeatures && !hasLayerCenter) {
+                mainLayerFittedRef.current = true;
+                setTimeout(() => {
+                    layerManager.fitToLayerExtent(map, mainVectorLayer);
+                }, 100);
+            }
+        } catch (error) {
+            console.error('Failed to update main layer:', error);
+            setLayerError('Failed to load main data layer');
+        }
+    }, [map, mainVectorLayer, mainLayer, entityIdColumn, hasLayerCenter, layerManager]);
 
     // Handle other layers
     useEffect(() => {
@@ -154,10 +370,13 @@ export const MapComponent = ({
 
         try {
             const vectorLayer = layerManager.createVectorLayer(otherLayersGeometry, 'other-layers');
+            vectorLayer.set('title', 'שכבות נוספות');
             setOtherVectorLayer(vectorLayer);
             map.addLayer(vectorLayer);
+            drawingService.setSnapLayer(map, SNAP_TARGETS.OTHER, vectorLayer);
 
             return () => {
+                drawingService.setSnapLayer(map, SNAP_TARGETS.OTHER, null);
                 if (map.getLayers().getArray().includes(vectorLayer)) {
                     map.removeLayer(vectorLayer);
                 }
@@ -165,73 +384,131 @@ export const MapComponent = ({
         } catch (error) {
             console.error('Failed to create other layers:', error);
         }
-    }, [isMapReady, map, otherLayersGeometry, layerManager]);
+    }, [isMapReady, map, otherLayersGeometry, layerManager, drawingService]);
+
+    // Filter the main layer by the featureFilter prop and the filter panel conditions
+    // Expressions are compared by content so inline arrays do not re-apply the filter on every render
+    const featureFilterKey = typeof featureFilter === 'function' ? featureFilter : JSON.stringify(featureFilter ?? null);
+    const panelFilter = useMemo(
+        () => ExpressionUtils.fromConditions(panelFilterState.conditions, panelFilterState.match),
+        [panelFilterState]
+    );
 
-    // Handle selected feature
     useEffect(() => {
-        if (!mainVectorLayer || !selectedRowIndex) return;
+        if (!mainVectorLayer) return;
 
         try {
-            layerManager.highlightFeature(mainVectorLayer, selectedRowIndex, entityIdColumn);
+            const propFilter = typeof featureFilterKey === 'string' ? JSON.parse(featureFilterKey) : featureFilterKey;
+            layerManager.setFeatureFilter(mainVectorLayer, propFilter, panelFilter);
 
-            // Fly to selected feature
-            const source = mainVectorLayer.getSource();
-            if (source && map) {
-                let featureFound = false;
-
-                source.forEachFeature((feature) => {
-                    const properties = feature.getProperties();
-                    if (properties[entityIdColumn] === selectedRowIndex) {
-                        featureFound = true;
-                        const geometry = feature.getGeometry();
-
-                        if (geometry) {
-                            const extent = geometry.getExtent();
-                            const geometryType = geometry.getType();
-
-                            // Handle different geometry types
-                            switch (geometryType) {
-                                case 'Point':
-                                    { const center = extent.slice(0, 2);
-                                    map.getView().animate({
-                                        center,
-                                        zoom: 17,
-                                        duration: MAP_CONSTANTS.ANIMATION_DURATION,
-                                    });
-                                    break; }
-
-                                case 'LineString':
-                                case 'MultiLineString':
-                                    map.getView().fit(extent, {
-                                        duration: MAP_CONSTANTS.ANIMATION_DURATION,
-                                        padding: [50, 50, 50, 50],
-                                        maxZoom: 14,
-                                    });
-                                    break;
-
-                                case 'Polygon':
-                                case 'MultiPolygon':
-                                    map.getView().fit(extent, {
-                                        duration: MAP_CONSTANTS.ANIMATION_DURATION,
-                                        padding: [50, 50, 50, 50],
-                                        maxZoom: 16,
-                                    });
-                                    break;
-
-                                default:
-                                    map.getView().fit(extent, {
-                                        duration: MAP_CONSTANTS.ANIMATION_DURATION,
-                                        padding: [50, 50, 50, 50],
-                                    });
-                            }
-                        }
-                        return false; // Stop iteration
+            // Features the filter hides can no longer be selected or show a popup
+            const isHidden = feature => layerManager.getFeatureSource(mainVectorLayer).hasFeature(feature)
+                && !layerManager.isFeatureVisible(mainVectorLayer, feature);
+            setSelectedFeatures(previous => (previous.some(isHidden) ? previous.filter(feature => !isHidden(feature)) : previous));
+            setPopup(previous => (previous && isHidden(previous.feature) ? null : previous));
+        } catch (error) {
+            console.error('Failed to apply feature filter:', error);
+        }
+    }, [mainVectorLayer, featureFilterKey, panelFilter, layerManager]);
+
+    // Keep the filter panel's properties and match count in sync with the main layer
+    useEffect(() => {
+        if (!filterPanelOpen || !mainVectorLayer) return;
+
+        const source = layerManager.getFeatureSource(mainVectorLayer);
+        let timeoutId = null;
+        const updateStats = () => {
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(() => {
+                setFilterStats({
+                    features: source.getFeatures(),
+                    shownCount: layerManager.getVisibleFeatures(mainVectorLayer).length,
+                });
+            }, 100);
+        };
+
+        updateStats();
+        source.on('change', updateStats);
+        mainVectorLayer.on('change:featureFilter', updateStats);
+
+        return () => {
+            clearTimeout(timeoutId);
+            source.un('change', updateStats);
+            mainVectorLayer.un('change:featureFilter', updateStats);
+        };
+    }, [filterPanelOpen, mainVectorLayer, layerManager]);
+
+    // Label the main and other layers
+    // Compared by content so inline label options do not re-create the label layers on every render
+    const labelsKey = JSON.stringify([labels ?? null, otherLayersLabels ?? null]);
+
+    useEffect(() => {
+        if (!map) return;
+
+        try {
+            const [mainLabels, otherLabels] = JSON.parse(labelsKey);
+            const labelLayers = [
+                [mainVectorLayer, mainLabels],
+                [otherVectorLayer, otherLabels],
+            ]
+                .filter(([layer, labelOptions]) => layer && (labelOptions?.property || labelOptions?.template))
+                .map(([layer, labelOptions]) => layerManager.createLabelLayer(layer, labelOptions));
+
+            labelLayers.forEach(labelLayer => map.addLayer(labelLayer));
+
+            return () => {
+                labelLayers.forEach((labelLayer) => {
+                    layerManager.disposeDerivedLayer(labelLayer);
+                    if (map.getLayers().getArray().includes(labelLayer)) {
+                        map.removeLayer(labelLayer);
                     }
                 });
+            };
+        } catch (error) {
+            console.error('Failed to create label layers:', error);
+        }
+    }, [map, mainVectorLayer, otherVectorLayer, labelsKey, layerManager]);
 
-                if (!featureFound) {
-                    console.warn(`Feature with ${entityIdColumn}=${selectedRowIndex} not found`);
-                }
+    // Select the main layer features given by selectedRowIds, or by selectedRowIndex
+    // Compared by content so a new array with the same ids doesn't reset the map selection
+    const selectedRowIdsKey = selectedRowIds ? JSON.stringify(selectedRowIds) : null;
+
+    useEffect(() => {
+        if (!mainVectorLayer) return;
+
+        const ids = selectedRowIdsKey ? JSON.parse(selectedRowIdsKey) : (selectedRowIndex ? [selectedRowIndex] : []);
+        const source = layerManager.getFeatureSource(mainVectorLayer);
+        setSelectedFeatures(source.getFeatures().filter(feature => ids.includes(feature.get(entityIdColumn))));
+    }, [selectedRowIdsKey, selectedRowIndex, mainVectorLayer, entityIdColumn, layerManager]);
+
+    // Highlight the selected features of the main and other layers
+    useEffect(() => {
+        try {
+            [mainVectorLayer, otherVectorLayer].filter(Boolean).forEach((layer) => {
+                const source = layerManager.getFeatureSource(layer);
+                const keys = selectedFeatures
+                    .filter(feature => source.hasFeature(feature))
+                    .map(feature => layerManager.getFeatureKey(feature, entityIdColumn));
+                layerManager.highlightFeatures(layer, keys, entityIdColumn);
+            });
+        } catch (error) {
+            console.error('Failed to highlight selected features:', error);
+        }
+    }, [selectedFeatures, mainVectorLayer, otherVectorLayer, entityIdColumn, layerManager]);
+
+    // Handle selected feature
+    useEffect(() => {
+        if (!mainVectorLayer || !selectedRowIndex || !map) return;
+
+        try {
+            // Fly to selected feature
+            const feature = layerManager.getFeatureSource(mainVectorLayer).getFeatures()
+                .find(item => item.get(entityIdColumn) === selectedRowIndex);
+
+            if (feature) {
+                layerManager.flyToFeature(map, mainVectorLayer, feature);
+            } else {
+                console.warn(`Feature with ${entityIdColumn}=${selectedRowIndex} not found`);
             }
         } catch (error) {
             console.error('Failed to handle selected feature:', error);
@@ -241,12 +518,11 @@ export const MapComponent = ({
     // Handle base layer switching
     const handleBaseLayerChange = useCallback((layerId) => {
         try {
-            Object.values(baseLayers).forEach(layer => layer.setVisible(false));
+            const entry = baseLayers.find(item => item.id === layerId);
+            if (!entry?.layer) return;
 
-            if (baseLayers[layerId]) {
-                baseLayers[layerId].setVisible(true);
-                setSelectedBaseLayer(layerId);
-            }
+            baseLayers.forEach(item => item.layer?.setVisible(item === entry));
+            setSelectedBaseLayer(layerId);
         } catch (error) {
             console.error('Failed to switch base layer:', error);
         }
@@ -259,19 +535,50 @@ export const MapComponent = ({
         try {
             setCurrentDrawingMode(mode);
 
+            if (mode !== DRAWING_MODES.MEASURE) {
+                measurementService.stopMeasuring(map);
+            }
+
             if (mode === DRAWING_MODES.NONE) {
                 drawingService.stopDrawing(map);
+            } else if (mode === DRAWING_MODES.MEASURE) {
+                drawingService.stopDrawing(map);
+                measurementService.startMeasuring(map, measureType);
             } else {
-                drawingService.startDrawing(map, mode, (wkt) => {
+                // Receives WKT, or a validation result when the geometry is invalid
+                drawingService.startDrawing(map, mode, (output) => {
                     if (onPolygonDraw) {
-                        onPolygonDraw(wkt);
+                        onPolygonDraw(output);
                     }
                 });
             }
         } catch (error) {
             console.error('Failed to change drawing mode:', error);
         }
-    }, [map, drawingService, onPolygonDraw]);
+    }, [map, drawingService, measurementService, measureType, onPolygonDraw]);
+
+    // Handle switching between distance and area measurement
+    const handleMeasureTypeChange = useCallback((type) => {
+        if (!map) return;
+
+        try {
+            setMeasureType(type);
+            measurementService.startMeasuring(map, type);
+        } catch (error) {
+            console.error('Failed to change measure type:', error);
+        }
+    }, [map, measurementService]);
+
+    // Handle measurement unit changes
+    const handleMeasureUnitsChange = useCallback((lengthUnit, areaUnit) => {
+        measurementService.setUnits(lengthUnit, areaUnit);
+        setMeasureUnits({ length: lengthUnit, area: areaUnit });
+    }, [measurementService]);
+
+    // Handle clear measurements
+    const handleClearMeasurements = useCallback(() => {
+        measurementService.clearMeasurements();
+    }, [measurementService]);
 
     // Handle clear drawing
     const handleClearDrawing = useCallback(() => {
@@ -279,6 +586,7 @@ export const MapComponent = ({
 
         try {
             drawingService.stopDrawing(map);
+            measurementService.stopMeasuring(map);
             drawingService.clearDrawing();
             setCurrentDrawingMode(DRAWING_MODES.NONE);
 
@@ -288,7 +596,554 @@ export const MapComponent = ({
         } catch (error) {
             console.error('Failed to clear drawing:', error);
         }
-    }, [map, drawingService, onPolygonDraw]);
+    }, [map, drawingService, measurementService, onPolygonDraw]);
+
+    // Handle undo of the last drawing edit
+    const handleUndo = useCallback(() => {
+        try {
+            if (drawingService.undo() && onPolygonDraw) {
+                onPolygonDraw(drawingService.getCurrentOutput());
+            }
+        } catch (error) {
+            console.error('Failed to undo drawing edit:', error);
+        }
+    }, [drawingService, onPolygonDraw]);
+
+    // Handle redo of the last undone drawing edit
+    const handleRedo = useCallback(() => {
+        try {
+            if (drawingService.redo() && onPolygonDraw) {
+                onPolygonDraw(drawingService.getCurrentOutput());
+            }
+        } catch (error) {
+            console.error('Failed to redo drawing edit:', error);
+        }
+    }, [drawingService, onPolygonDraw]);
+
+    // Follow later changes of the snapping prop, compared by content so inline objects don't reset the panel
+    const snappingKey = JSON.stringify(snapping ?? null);
+
+    useEffect(() => {
+        const options = JSON.parse(snappingKey);
+        if (options) {
+            setSnapOptions(previous => ({ ...previous, ...options }));
+        }
+    }, [snappingKey]);
+
+    // Apply snapping options
+    useEffect(() => {
+        if (!map) return;
+        drawingService.setSnapOptions(map, snapOptions);
+    }, [map, drawingService, snapOptions]);
+
+    // Handle snapping option changes
+    const handleSnapOptionsChange = useCallback((options) => {
+        setSnapOptions(previous => ({ ...previous, ...options }));
+    }, []);
+
+    // Handle snapping toggle
+    const handleToggleSnapping = useCallback(() => {
+        setSnapOptions(previous => ({ ...previous, enabled: !previous.enabled }));
+    }, []);
+
+    // Select main layer features inside the drawn areas
+    // The callback is read from a ref so an inline callback that sets parent state does not re-run the query
+    const onFeaturesInAreaRef = useRef(onFeaturesInArea);
+    onFeaturesInAreaRef.current = onFeaturesInArea;
+
+    useEffect(() => {
+        if (!mainVectorLayer) return;
+
+        try {
+            if (!spatialQuery.enabled) {
+                layerManager.highlightQueryResults(mainVectorLayer, [], entityIdColumn);
+                setFeaturesInAreaCount(0);
+                return;
+            }
+
+            // Buffered points and lines query with their own buffer polygon
+            const geometries = drawingService.getDrawingLayer().getSource().getFeatures()
+                .map(feature => drawingService.getBufferedGeometry(feature) || feature.getGeometry())
+                .filter(Boolean);
+            const areas = spatialQueryService.createQueryAreas(geometries, spatialQuery.bufferMeters);
+            const features = areas.length > 0
+                ? spatialQueryService.findFeatures(layerManager.getFeatureSource(mainVectorLayer), areas, spatialQuery.predicate)
+                    .filter(feature => layerManager.isFeatureVisible(mainVectorLayer, feature))
+                : [];
+            const featureIds = features.map(feature => layerManager.getFeatureKey(feature, entityIdColumn));
+
+            layerManager.highlightQueryResults(mainVectorLayer, featureIds, entityIdColumn);
+            setFeaturesInAreaCount(featureIds.length);
+
+            if (onFeaturesInAreaRef.current) {
+                onFeaturesInAreaRef.current(featureIds);
+            }
+        } catch (error) {
+            console.error('Failed to query features in area:', error);
+        }
+    }, [
+        spatialQuery,
+        drawingRevision,
+        mainVectorLayer,
+        featureFilterKey,
+        panelFilter,
+        entityIdColumn,
+        layerManager,
+        drawingService,
+        spatialQueryService,
+    ]);
+
+    // Show the main layer as features, a heatmap or hexagonal bins
+    const weightProperty = aggregation?.weightProperty;
+    const aggregationType = aggregation?.aggregation;
+    const hexbinSize = aggregation?.hexbinSize;
+    const heatmapRadius = aggregation?.heatmapRadius;
+    const heatmapBlur = aggregation?.heatmapBlur;
+
+    useEffect(() => {
+        if (!map || !mainVectorLayer || renderMode === RENDER_MODES.FEATURES) return;
+
+        try {
+            const aggregationLayer = renderMode === RENDER_MODES.HEATMAP
+                ? layerManager.createHeatmapLayer(mainVectorLayer, {
+                    weightProperty,
+                    radius: heatmapRadius,
+                    blur: heatmapBlur,
+                })
+                : layerManager.createHexbinLayer(mainVectorLayer, {
+                    weightProperty,
+                    aggregation: aggregationType,
+                    size: hexbinSize,
+                });
+
+            // Same features, different rendering - the main layer is only hidden
+            mainVectorLayer.setVisible(false);
+            map.addLayer(aggregationLayer);
+
+            const listeners = [];
+            if (renderMode === RENDER_MODES.HEXBIN) {
+                const updateHexbins = () => {
+                    layerManager.updateHexbins(aggregationLayer, map.getView().getResolution());
+                };
+                updateHexbins();
+
+                map.on('moveend', updateHexbins);
+                listeners.push(() => map.un('moveend', updateHexbins));
+
+                const featureSource = layerManager.getFeatureSource(mainVectorLayer);
+                featureSource.on('change', updateHexbins);
+                listeners.push(() => featureSource.un('change', updateHexbins));
+
+                mainVectorLayer.on('change:featureFilter', updateHexbins);
+                listeners.push(() => mainVectorLayer.un('change:featureFilter', updateHexbins));
+
+                const handlePointerMove = (event) => {
+                    if (event.dragging) return;
+
+                    const cell = map.forEachFeatureAtPixel(event.pixel, feature => feature, {
+                        layerFilter: layer => layer === aggregationLayer,
+                    });
+                    setHoveredCell(cell ? {
+                        pixel: event.pixel,
+                        count: cell.get('count'),
+                        sum: cell.get('sum'),
+                        aggregation: cell.get('aggregation'),
+                    } : null);
+                };
+                map.on('pointermove', handlePointerMove);
+                listeners.push(() => map.un('pointermove', handlePointerMove));
+            }
+
+            return () => {
+                listeners.forEach(removeListener => removeListener());
+                layerManager.disposeDerivedLayer(aggregationLayer);
+                setHoveredCell(null);
+                mainVectorLayer.setVisible(true);
+                if (map.getLayers().getArray().includes(aggregationLayer)) {
+                    map.removeLayer(aggregationLayer);
+                }
+            };
+        } catch (error) {
+            console.error('Failed to change render mode:', error);
+        }
+    }, [
+        map,
+        mainVectorLayer,
+        renderMode,
+        weightProperty,
+        aggregationType,
+        hexbinSize,
+        heatmapRadius,
+        heatmapBlur,
+        layerManager,
+    ]);
+
+    // Follow later changes of the bufferDistance prop
+    useEffect(() => {
+        setBufferMeters(bufferDistance);
+    }, [bufferDistance]);
+
+    // Apply buffer distance for drawn points and lines
+    useEffect(() => {
+        drawingService.setBufferDistance(bufferMeters);
+    }, [drawingService, bufferMeters]);
+
+    // Handle spatial query option changes
+    const handleSpatialQueryChange = useCallback((options) => {
+        setSpatialQuery(previous => ({ ...previous, ...options }));
+    }, []);
+
+    // Handle spatial query toggle
+    const handleToggleSpatialQuery = useCallback(() => {
+        setSpatialQuery(previous => ({ ...previous, enabled: !previous.enabled }));
+    }, []);
+
+    // Handle deletion of the selected drawn features
+    const handleDeleteSelected = useCallback(() => {
+        try {
+            if (drawingService.deleteSelectedFeatures() > 0 && onPolygonDraw) {
+                onPolygonDraw(drawingService.getCurrentOutput());
+            }
+        } catch (error) {
+            console.error('Failed to delete drawn features:', error);
+        }
+    }, [drawingService, onPolygonDraw]);
+
+    // Track selected drawn features
+    useEffect(() => {
+        drawingService.setSelectionChangeHandler(setSelectedDrawingIds);
+
+        return () => {
+            drawingService.setSelectionChangeHandler(null);
+        };
+    }, [drawingService]);
+
+    // Track undo/redo availability
+    useEffect(() => {
+        drawingService.setHistoryChangeHandler(setDrawingHistory);
+
+        return () => {
+            drawingService.setHistoryChangeHandler(null);
+        };
+    }, [drawingService]);
+
+    // Report the full drawing layer contents on every change
+    useEffect(() => {
+        drawingService.setDrawingChangeHandler((change) => {
+            setDrawingRevision(revision => revision + 1);
+            if (onDrawingChange) {
+                onDrawingChange(change);
+            }
+        });
+
+        return () => {
+            drawingService.setDrawingChangeHandler(null);
+        };
+    }, [drawingService, onDrawingChange]);
+
+    // Keyboard shortcuts for undo (Ctrl+Z), redo (Ctrl+Y / Ctrl+Shift+Z) and delete (Delete)
+    useEffect(() => {
+        const handleKeyDown = (event) => {
+            const target = event.target;
+            if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+                return;
+            }
+
+            if (event.key === 'Delete' && !event.ctrlKey && !event.metaKey) {
+                handleDeleteSelected();
+                return;
+            }
+
+            if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+
+            const key = event.key.toLowerCase();
+            if (key === 'z' && !event.shiftKey) {
+                event.preventDefault();
+                handleUndo();
+            } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+                event.preventDefault();
+                handleRedo();
+            }
+        };
+
+        document.addEventListener('keydown', handleKeyDown);
+
+        return () => {
+            document.removeEventListener('keydown', handleKeyDown);
+        };
+    }, [handleUndo, handleRedo, handleDeleteSelected]);
+
+    // Rebuild the legend when layers are added, removed, shown or restyled
+    useEffect(() => {
+        if (!isMapReady || !map) return;
+
+        let timeoutId = null;
+        const updateLegend = () => {
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(() => {
+                try {
+                    setLegendGroups(legendService.getLegendGroups(map, drawingService));
+                } catch (error) {
+                    console.error('Failed to build legend:', error);
+                }
+            }, 100);
+        };
+
+        const layers = map.getLayers();
+        const watchedSources = [mainVectorLayer, otherVectorLayer]
+            .map(layer => layerManager.getFeatureSource(layer))
+            .filter(Boolean);
+
+        layers.on(['add', 'remove'], updateLegend);
+        watchedSources.forEach(source => source.on('change', updateLegend));
+        // Hexbin ranges follow the zoom level
+        if (renderMode === RENDER_MODES.HEXBIN) {
+            map.on('moveend', updateLegend);
+        }
+        updateLegend();
+
+        return () => {
+            clearTimeout(timeoutId);
+            map.un('moveend', updateLegend);
+            layers.un(['add', 'remove'], updateLegend);
+            watchedSources.forEach(source => source.un('change', updateLegend));
+        };
+    }, [
+        isMapReady,
+        map,
+        mainVectorLayer,
+        otherVectorLayer,
+        renderMode,
+        drawingRevision,
+        legendService,
+        layerManager,
+        drawingService,
+    ]);
+
+    // Popup overlay, rendered into through a portal so OpenLayers can position it
+    const popupElement = useMemo(() => document.createElement('div'), []);
+    const popupOverlay = useMemo(() => new Overlay({
+        element: popupElement,
+        positioning: 'bottom-center',
+        offset: [0, -14],
+        stopEvent: true,
+        autoPan: { animation: { duration: MAP_CONSTANTS.ANIMATION_DURATION } },
+    }), [popupElement]);
+
+    useEffect(() => {
+        if (!map) return;
+
+        map.addOverlay(popupOverlay);
+
+        return () => {
+            map.removeOverlay(popupOverlay);
+        };
+    }, [map, popupOverlay]);
+
+    useEffect(() => {
+        popupOverlay.setPosition(popup?.coordinate);
+    }, [popupOverlay, popup]);
+
+    const closePopup = useCallback(() => setPopup(null), []);
+
+    // Find the main, other or drawn feature under a pixel
+    const getFeatureAtPixel = useCallback((pixel) => {
+        const drawingLayer = drawingService.getDrawingLayer();
+        const inspectableLayers = [mainVectorLayer, otherVectorLayer, drawingLayer].filter(Boolean);
+
+        let hit = null;
+        map.forEachFeatureAtPixel(pixel, (feature, layer) => {
+            hit = { feature: layerManager.unwrapClusterFeature(feature), layer };
+            return true;
+        }, {
+            layerFilter: layer => inspectableLayers.includes(layer),
+        });
+        return hit;
+    }, [map, mainVectorLayer, otherVectorLayer, drawingService, layerManager]);
+
+    // Title of a feature: the tooltip field, then the entity id, then the feature id
+    const getFeatureTitle = useCallback((feature, layer) => {
+        const clusterMembers = feature.get('features');
+        if (Array.isArray(clusterMembers)) {
+            return `${clusterMembers.length} ישויות`;
+        }
+
+        if (layer === drawingService.getDrawingLayer()) {
+            return `שרטוט ${feature.getId()}`;
+        }
+
+        const title = (tooltipField && feature.get(tooltipField)) ?? feature.get(entityIdColumn) ?? feature.getId();
+        return title !== undefined && title !== null ? String(title) : layer.get('title');
+    }, [tooltipField, entityIdColumn, drawingService]);
+
+    // Hover tooltip and click popup, only while no drawing tool is active
+    useEffect(() => {
+        if (!map || currentDrawingMode !== DRAWING_MODES.NONE) return;
+
+        const handlePointerMove = (event) => {
+            if (event.dragging) return;
+
+            try {
+                const hit = getFeatureAtPixel(event.pixel);
+                setHoveredFeature(hit ? {
+                    pixel: event.pixel,
+                    title: getFeatureTitle(hit.feature, hit.layer),
+                } : null);
+                map.getTargetElement().style.cursor = hit ? 'pointer' : '';
+            } catch (error) {
+                console.error('Failed to show feature tooltip:', error);
+            }
+        };
+
+        const handleClick = (event) => {
+            try {
+                const hit = getFeatureAtPixel(event.pixel);
+
+                // Multi-feature clusters expand instead of opening a popup
+                if (!hit || Array.isArray(hit.feature.get('features'))) {
+                    setPopup(null);
+                    return;
+                }
+
+                const isDrawn = hit.layer === drawingService.getDrawingLayer();
+                const point = layerManager.getClusterPoint(hit.feature);
+
+                setPopup({
+                    feature: hit.feature,
+                    layer: hit.layer,
+                    coordinate: point ? point.getCoordinates() : event.coordinate,
+                    title: getFeatureTitle(hit.feature, hit.layer),
+                    layerTitle: hit.layer.get('title'),
+                    properties: isDrawn
+                        ? { מזהה: hit.feature.getId(), ...layerManager.getFeatureAttributes(hit.feature) }
+                        : layerManager.getFeatureAttributes(hit.feature),
+                });
+            } catch (error) {
+                console.error('Failed to open feature popup:', error);
+            }
+        };
+
+        const handleMouseOut = () => setHoveredFeature(null);
+        const viewport = map.getViewport();
+
+        map.on('pointermove', handlePointerMove);
+        map.on('singleclick', handleClick);
+        viewport.addEventListener('mouseout', handleMouseOut);
+
+        return () => {
+            map.un('pointermove', handlePointerMove);
+            map.un('singleclick', handleClick);
+            viewport.removeEventListener('mouseout', handleMouseOut);
+            map.getTargetElement().style.cursor = '';
+            setHoveredFeature(null);
+        };
+    }, [map, currentDrawingMode, getFeatureAtPixel, getFeatureTitle, drawingService, layerManager]);
+
+    // Close the popup on Escape
+    useEffect(() => {
+        if (!popup) return;
+
+        const handleKeyDown = (event) => {
+            if (event.key === 'Escape') {
+                setPopup(null);
+            }
+        };
+
+        document.addEventListener('keydown', handleKeyDown);
+
+        return () => {
+            document.removeEventListener('keydown', handleKeyDown);
+        };
+    }, [popup]);
+
+    // Close the popup when its feature is no longer on the map
+    useEffect(() => {
+        if (!popup) return;
+
+        const source = layerManager.getFeatureSource(popup.layer);
+        const isOnMap = map?.getLayers().getArray().includes(popup.layer)
+            && source?.getFeatures().includes(popup.feature);
+        if (!isOnMap) {
+            setPopup(null);
+        }
+    }, [popup, map, drawingRevision, mainVectorLayer, otherVectorLayer, layerManager]);
+
+    // Track the view extent for the attribute table and catalog browser filters
+    useEffect(() => {
+        if (!map || !(attributeTableOpen || catalogOpen)) return;
+
+        const updateViewExtent = () => {
+            setViewExtent(map.getView().calculateExtent(map.getSize()));
+        };
+
+        map.on('moveend', updateViewExtent);
+        updateViewExtent();
+
+        return () => {
+            map.un('moveend', updateViewExtent);
+        };
+    }, [map, attributeTableOpen, catalogOpen]);
+
+    // Keep the attribute table in sync with the layer contents
+    useEffect(() => {
+        if (!map || !attributeTableOpen) return;
+
+        let timeoutId = null;
+        const updateRows = () => {
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(() => setTableRevision(revision => revision + 1), 100);
+        };
+
+        const watchedSources = [mainVectorLayer, otherVectorLayer]
+            .map(layer => layerManager.getFeatureSource(layer))
+            .filter(Boolean);
+
+        watchedSources.forEach(source => source.on('change', updateRows));
+        mainVectorLayer?.on('change:featureFilter', updateRows);
+
+        return () => {
+            clearTimeout(timeoutId);
+            watchedSources.forEach(source => source.un('change', updateRows));
+            mainVectorLayer?.un('change:featureFilter', updateRows);
+        };
+    }, [map, attributeTableOpen, mainVectorLayer, otherVectorLayer, layerManager]);
+
+    const attributeTables = useMemo(() => {
+        if (!attributeTableOpen) return [];
+
+        const tables = [];
+        if (mainVectorLayer) {
+            tables.push({
+                id: 'main',
+                title: layerName,
+                revision: tableRevision, // Bumped on source and filter changes so rows are re-read
+                layer: mainVectorLayer,
+                features: layerManager.getVisibleFeatures(mainVectorLayer),
+            });
+        }
+        if (otherVectorLayer && attributeTable?.includeOtherLayers) {
+            tables.push({
+                id: 'other',
+                title: otherVectorLayer.get('title'),
+                revision: tableRevision,
+                layer: otherVectorLayer,
+                features: layerManager.getVisibleFeatures(otherVectorLayer),
+            });
+        }
+        return tables;
+    }, [attributeTableOpen, mainVectorLayer, otherVectorLayer, attributeTable?.includeOtherLayers, layerName, layerManager, tableRevision]);
+
+    // Select and fly to the feature of a clicked table row
+    const handleTableRowClick = useCallback((feature, tableId) => {
+        try {
+            const table = attributeTables.find(item => item.id === tableId);
+            handleSelectionChange([feature]);
+            setSelectedEntity(feature.getProperties());
+            layerManager.flyToFeature(map, table.layer, feature);
+        } catch (error) {
+            console.error('Failed to select table row:', error);
+        }
+    }, [attributeTables, handleSelectionChange, setSelectedEntity, layerManager, map]);
 
     // Handle fit to layer
     const handleFitToLayer = useCallback(() => {
@@ -319,24 +1174,213 @@ export const MapComponent = ({
         }
     }, [isMapReady, map, drawingService]);
 
+    // Add measurement layer to map
+    useEffect(() => {
+        if (!isMapReady || !map) return;
+
+        try {
+            const measureLayer = measurementService.getMeasureLayer();
+            map.addLayer(measureLayer);
+
+            return () => {
+                measurementService.stopMeasuring(map);
+                if (map.getLayers().getArray().includes(measureLayer)) {
+                    map.removeLayer(measureLayer);
+                }
+            };
+        } catch (error) {
+            console.error('Failed to add measurement layer:', error);
+        }
+    }, [isMapReady, map, measurementService]);
+
+    // Apply drawing validation rules
+    useEffect(() => {
+        drawingService.setValidationOptions(drawingValidation);
+    }, [drawingService, drawingValidation]);
+
+    // Load a previously saved geometry into the drawing layer
+    // Compared by content so an inline geometry does not replace the user's edits on every render
+    const initialDrawingKey = initialDrawing ? JSON.stringify(initialDrawing) : null;
+
+    useEffect(() => {
+        if (!isMapReady || !map || !initialDrawingKey) return;
+
+        try {
+            drawingService.loadGeometry(JSON.parse(initialDrawingKey), map);
+        } catch (error) {
+            console.error('Failed to load initial drawing:', error);
+            setLayerError('Failed to load initial drawing');
+        }
+    }, [isMapReady, map, initialDrawingKey, drawingService]);
+
+    // Outline the footprints of the catalog search results
+    const [catalogFootprintLayer, setCatalogFootprintLayer] = useState(null);
+
+    useEffect(() => {
+        if (!map || !catalogOpen) return;
+
+        const footprintLayer = layerManager.createFootprintLayer('catalog-footprints');
+        map.addLayer(footprintLayer);
+        setCatalogFootprintLayer(footprintLayer);
+
+        return () => {
+            map.removeLayer(footprintLayer);
+            setCatalogFootprintLayer(null);
+            setCatalogRecords([]);
+            setHoveredRecordId(null);
+        };
+    }, [map, catalogOpen, layerManager]);
+
+    useEffect(() => {
+        if (!catalogFootprintLayer) return;
+
+        try {
+            layerManager.setFootprints(catalogFootprintLayer, catalogRecords);
+        } catch (error) {
+            console.error('Failed to show catalog footprints:', error);
+        }
+    }, [catalogFootprintLayer, catalogRecords, layerManager]);
+
+    useEffect(() => {
+        if (catalogFootprintLayer) {
+            layerManager.highlightFootprint(catalogFootprintLayer, hoveredRecordId);
+        }
+    }, [catalogFootprintLayer, hoveredRecordId, layerManager]);
+
+    const handleZoomToRecord = useCallback((record) => {
+        try {
+            layerManager.zoomToProduct(map, record);
+        } catch (error) {
+            console.error('Failed to zoom to product:', error);
+        }
+    }, [map, layerManager]);
+
+    const handleCatalogSearch = useCallback((query) => WMTSConfigService.searchCSWCatalog(query), []);
+
+    // Add a catalog product as a raster layer, above the base layers and below the vector layers
+    const handleAddCatalogRecord = useCallback(async (record) => {
+        const recordId = record.identifier;
+        setProductLayers(previous => ({ ...previous, [recordId]: { status: 'loading', record } }));
+
+        try {
+            const options = await WMTSConfigService.resolveRecordLayer(record);
+            const layer = WMTSService.createWMTSLayer({ ...options, id: recordId, visible: true }, authProvider);
+            layer.set('name', `product-${recordId}`);
+            layer.set('title', record.title || recordId);
+            layer.set('productRecord', record);
+
+            const layers = map.getLayers();
+            const vectorIndex = layers.getArray().findIndex(item => item instanceof VectorLayer);
+            layers.insertAt(vectorIndex < 0 ? layers.getLength() : vectorIndex, layer);
+
+            setProductLayers(previous => ({ ...previous, [recordId]: { status: 'loaded', record, layer } }));
+        } catch (error) {
+            console.error('Failed to add catalog product:', error);
+            setProductLayers(previous => ({ ...previous, [recordId]: { status: 'error', record, error: error.message } }));
+        }
+    }, [map, authProvider]);
+
+    const handleRemoveCatalogRecord = useCallback((recordId) => {
+        const productLayer = productLayers[recordId];
+        if (productLayer?.layer) {
+            map.removeLayer(productLayer.layer);
+        }
+
+        setProductLayers(previous => Object.fromEntries(
+            Object.entries(previous).filter(([id]) => id !== recordId)
+        ));
+    }, [map, productLayers]);
+
+    // Remove the added catalog products and their footprint clips with the map, like the base layers
+    const productLayersRef = useRef(productLayers);
+    productLayersRef.current = productLayers;
+
+    useEffect(() => {
+        if (!map) return;
+
+        return () => {
+            Object.values(productLayersRef.current).forEach(({ layer }) => {
+                if (layer) {
+                    layerManager.setLayerClip(layer, null);
+                    map.removeLayer(layer);
+                }
+            });
+        };
+    }, [map, layerManager]);
+
+    // Raster product layers shown on the map: the active base layer and the added catalog products
+    const productRasterLayers = useMemo(() => [
+        baseLayers.find(entry => entry.id === selectedBaseLayer)?.layer,
+        ...Object.values(productLayers).map(entry => entry.layer),
+    ].filter(layer => layer?.get('productRecord')), [baseLayers, selectedBaseLayer, productLayers]);
+
+    // Outline the footprints of the loaded raster products, with their name and date on hover
+    const [productFootprintLayer, setProductFootprintLayer] = useState(null);
+
+    useEffect(() => {
+        if (!map || !productFootprints) return;
+
+        const footprintLayer = layerManager.createFootprintLayer('product-footprints');
+        map.addLayer(footprintLayer);
+        setProductFootprintLayer(footprintLayer);
+
+        const handlePointerMove = (event) => {
+            if (event.dragging) return;
+
+            const footprint = map.forEachFeatureAtPixel(event.pixel, feature => feature, {
+                layerFilter: layer => layer === footprintLayer,
+            });
+            layerManager.highlightFootprint(footprintLayer, footprint ? footprint.getId() : null);
+            setHoveredProduct(footprint ? {
+                pixel: event.pixel,
+                title: footprint.get('title') || footprint.getId(),
+                date: FormatUtils.formatDate(footprint.get('date')),
+            } : null);
+        };
+        map.on('pointermove', handlePointerMove);
+
+        return () => {
+            map.un('pointermove', handlePointerMove);
+            map.removeLayer(footprintLayer);
+            setProductFootprintLayer(null);
+            setHoveredProduct(null);
+        };
+    }, [map, productFootprints, layerManager]);
+
+    useEffect(() => {
+        if (!productFootprintLayer) return;
+
+        try {
+            layerManager.setFootprints(productFootprintLayer, productRasterLayers.map(layer => layer.get('productRecord')));
+        } catch (error) {
+            console.error('Failed to show product footprints:', error);
+        }
+    }, [productFootprintLayer, productRasterLayers, layerManager]);
+
+    // Clip raster products to their footprints so their no-data edges don't hide the layers below
+    useEffect(() => {
+        if (!clipProductsToFootprint) return;
+
+        productRasterLayers.forEach((layer) => {
+            try {
+                layerManager.setLayerClip(layer, layerManager.getFootprintGeometry(layer.get('productRecord')));
+            } catch (error) {
+                console.error('Failed to clip product to its footprint:', error);
+            }
+        });
+
+        return () => {
+            productRasterLayers.forEach(layer => layerManager.setLayerClip(layer, null));
+        };
+    }, [clipProductsToFootprint, productRasterLayers, layerManager]);
+
     // Prepare base layer selector data
-    const baseLayerSelectorData = useMemo(() => [
-        {
-            id: 'osm',
-            name: BASE_LAYER_CONFIGS.OSM.name,
-            active: selectedBaseLayer === 'osm',
-        },
-        {
-            id: 'satellite',
-            name: BASE_LAYER_CONFIGS.SATELLITE.name,
-            active: selectedBaseLayer === 'satellite',
-        },
-        {
-            id: 'roads',
-            name: BASE_LAYER_CONFIGS.ROADS.name,
-            active: selectedBaseLayer === 'roads',
-        },
-    ], [selectedBaseLayer]);
+    const baseLayerSelectorData = useMemo(() => baseLayers.map(entry => ({
+        id: entry.id,
+        name: entry.name,
+        active: selectedBaseLayer === entry.id,
+        error: entry.error,
+    })), [baseLayers, selectedBaseLayer]);
 
     return (
         <div className="relative w-full h-full">
@@ -368,6 +1412,25 @@ export const MapComponent = ({
                 </div>
             )}
 
+            {authProvider && authStatus === AUTH_STATUS.EXPIRED && (
+                <div className="absolute top-20 left-1/2 transform -translate-x-1/2 z-50" dir="rtl">
+                    <div className="bg-amber-50 border border-amber-400 text-amber-800 px-4 py-3 rounded-lg shadow-lg max-w-md flex items-center gap-3">
+                        <span>
+                            <strong className="font-bold">פג תוקף החיבור. </strong>
+                            שכבות הרקע אינן נטענות.
+                        </span>
+                        {authProvider.canRefresh() && (
+                            <button
+                                onClick={() => authProvider.refresh()}
+                                className="px-2 py-1 rounded bg-amber-600 text-white text-sm whitespace-nowrap hover:bg-amber-700"
+                            >
+                                התחבר מחדש
+                            </button>
+                        )}
+                    </div>
+                </div>
+            )}
+
             {isMapReady && !isLoadingLayers && (
                 <>
                     <MapControls
@@ -377,8 +1440,59 @@ export const MapComponent = ({
                         onDrawingModeChange={handleDrawingModeChange}
                         currentDrawingMode={currentDrawingMode}
                         onClearDrawing={handleClearDrawing}
+                        onUndo={handleUndo}
+                        onRedo={handleRedo}
+                        canUndo={drawingHistory.canUndo}
+                        canRedo={drawingHistory.canRedo}
+                        onDeleteSelected={handleDeleteSelected}
+                        hasSelection={selectedDrawingIds.length > 0}
+                        snappingEnabled={snapOptions.enabled}
+                        onToggleSnapping={handleToggleSnapping}
+                        spatialQueryEnabled={spatialQuery.enabled}
+                        onToggleSpatialQuery={handleToggleSpatialQuery}
+                        attributeTableOpen={attributeTableOpen}
+                        onToggleAttributeTable={attributeTable ? () => setAttributeTableOpen(!attributeTableOpen) : null}
+                        filterPanelOpen={filterPanelOpen}
+                        filterActive={Boolean(panelFilter)}
+                        onToggleFilterPanel={filterPanel ? () => setFilterPanelOpen(!filterPanelOpen) : null}
+                        catalogOpen={catalogOpen}
+                        onToggleCatalog={catalogBrowser ? () => setCatalogOpen(!catalogOpen) : null}
                     />
 
+                    {[DRAWING_MODES.POINT, DRAWING_MODES.LINE].includes(currentDrawingMode) && (
+                        <BufferPanel
+                            bufferMeters={bufferMeters}
+                            onBufferChange={setBufferMeters}
+                        />
+                    )}
+
+                    {spatialQuery.enabled && (
+                        <SpatialQueryPanel
+                            predicate={spatialQuery.predicate}
+                            bufferMeters={spatialQuery.bufferMeters}
+                            resultCount={featuresInAreaCount}
+                            onQueryOptionsChange={handleSpatialQueryChange}
+                        />
+                    )}
+
+                    {snapOptions.enabled && ![DRAWING_MODES.NONE, DRAWING_MODES.MEASURE].includes(currentDrawingMode) && (
+                        <SnapSettingsPanel
+                            snapOptions={snapOptions}
+                            onSnapOptionsChange={handleSnapOptionsChange}
+                        />
+                    )}
+
+                    {currentDrawingMode === DRAWING_MODES.MEASURE && (
+                        <MeasurementPanel
+                            measureType={measureType}
+                            onMeasureTypeChange={handleMeasureTypeChange}
+                            lengthUnit={measureUnits.length}
+                            areaUnit={measureUnits.area}
+                            onUnitsChange={handleMeasureUnitsChange}
+                            onClearMeasurements={handleClearMeasurements}
+                        />
+                    )}
+
                     <CoordinateDisplay
                         latitude={coordinates.latitude}
                         longitude={coordinates.longitude}
@@ -386,6 +1500,97 @@ export const MapComponent = ({
                         onZoomToLayer={handleFitToLayer}
                     />
 
+                    {mainVectorLayer && (
+                        <RenderModeSelector
+                            renderMode={renderMode}
+                            onRenderModeChange={setRenderMode}
+                        />
+                    )}
+
+                    {hoveredCell && (
+                        <div
+                            className="absolute z-20 pointer-events-none bg-white rounded shadow-lg border border-gray-200 px-2 py-1 text-xs text-gray-700"
+                            style={{ left: hoveredCell.pixel[0] + 12, top: hoveredCell.pixel[1] + 12 }}
+                            dir="rtl"
+                        >
+                            <div>כמות: {hoveredCell.count}</div>
+                            {(weightProperty || hoveredCell.aggregation === AGGREGATION_TYPES.SUM) && (
+                                <div>סכום: {hoveredCell.sum.toLocaleString()}</div>
+                            )}
+                        </div>
+                    )}
+
+                    {hoveredProduct && !hoveredFeature && (
+                        <div
+                            className="absolute z-20 pointer-events-none bg-white rounded shadow-lg border border-gray-200 px-2 py-1 text-xs text-gray-700"
+                            style={{ left: hoveredProduct.pixel[0] + 12, top: hoveredProduct.pixel[1] + 12 }}
+                            dir="rtl"
+                        >
+                            <div className="font-medium">{hoveredProduct.title}</div>
+                            {hoveredProduct.date && <div>תאריך: {hoveredProduct.date}</div>}
+                        </div>
+                    )}
+
+                    <Legend groups={legendGroups} />
+
+                    {catalogBrowser && catalogOpen && (
+                        <CatalogBrowser
+                            viewExtent={viewExtent}
+                            onSearch={handleCatalogSearch}
+                            onResultsChange={setCatalogRecords}
+                            hoveredRecordId={hoveredRecordId}
+                            onRecordHover={setHoveredRecordId}
+                            productLayers={productLayers}
+                            onAddRecord={handleAddCatalogRecord}
+                            onRemoveRecord={handleRemoveCatalogRecord}
+                            onZoomToRecord={handleZoomToRecord}
+                            onClose={() => setCatalogOpen(false)}
+                        />
+                    )}
+
+                    {filterPanel && filterPanelOpen && (
+                        <FilterPanel
+                            features={filterStats.features}
+                            conditions={panelFilterState.conditions}
+                            match={panelFilterState.match}
+                            shownCount={filterStats.shownCount}
+                            onFilterChange={setPanelFilterState}
+                            onClose={() => setFilterPanelOpen(false)}
+                        />
+                    )}
+
+                    {attributeTableOpen && attributeTables.length > 0 && (
+                        <AttributeTable
+                            tables={attributeTables}
+                            selectedFeatures={selectedFeatures}
+                            viewExtent={viewExtent}
+                            onRowClick={handleTableRowClick}
+                            onClose={() => setAttributeTableOpen(false)}
+                        />
+                    )}
+
+                    {hoveredFeature && !popup && (
+                        <div
+                            className="absolute z-20 pointer-events-none bg-white rounded shadow-lg border border-gray-200 px-2 py-1 text-xs font-medium text-gray-700"
+                            style={{ left: hoveredFeature.pixel[0] + 12, top: hoveredFeature.pixel[1] + 12 }}
+                            dir="rtl"
+                        >
+                            {hoveredFeature.title}
+                        </div>
+                    )}
+
+                    {popup && createPortal(
+                        <FeaturePopup
+                            title={popup.title}
+                            layerTitle={popup.layerTitle}
+                            properties={popup.properties}
+                            feature={popup.feature}
+                            onClose={closePopup}
+                            renderPopup={renderPopup}
+                        />,
+                        popupElement
+                    )}
+
                     {baseLayerSelectorData.length > 0 && (
                         <BaseLayerSelector
                             layers={baseLayerSelectorData}
@@ -1,7 +1,7 @@
 // src/components/MapControls.jsx
 
 import React from 'react';
-import { ZoomIn, ZoomOut, Maximize2, Square, Minus, Circle } from 'lucide-react';
+import { ZoomIn, ZoomOut, Maximize2, Square, Minus, Circle, RectangleHorizontal, CircleDot, Pencil, Ruler, MousePointer2, Trash2, Magnet, ScanSearch, Undo2, Redo2, Table, Filter, Library } from 'lucide-react';
 import { DRAWING_MODES } from '../constants/map.constants.js';
 
 export const MapControls = ({
@@ -11,6 +11,23 @@ export const MapControls = ({
                                 onDrawingModeChange,
                                 currentDrawingMode,
                                 onClearDrawing,
+                                onUndo,
+                                onRedo,
+                                canUndo = false,
+                                canRedo = false,
+                                onDeleteSelected,
+                                hasSelection = false,
+                                snappingEnabled = true,
+                                onToggleSnapping,
+                                spatialQueryEnabled = false,
+                                onToggleSpatialQuery,
+                                attributeTableOpen = false,
+                                onToggleAttributeTable,
+                                filterPanelOpen = false,
+                                filterActive = false,
+                                onToggleFilterPanel,
+                                catalogOpen = false,
+                                onToggleCatalog,
                             }) => {
     return (
         <div className="absolute top-4 right-4 z-10 flex flex-col gap-2">
@@ -68,6 +85,81 @@ export const MapControls = ({
                 >
                     <Circle size={18} />
                 </button>
+                <button
+                    onClick={() => onDrawingModeChange(DRAWING_MODES.RECTANGLE)}
+                    className={`p-3 hover:bg-gray-50 transition-colors border-b border-gray-200 block w-full ${
+                        currentDrawingMode === DRAWING_MODES.RECTANGLE ? 'bg-blue-50 text-blue-600' : ''
+                    }`}
+                    title="צייר מלבן"
+                >
+                    <RectangleHorizontal size={18} />
+                </button>
+                <button
+                    onClick={() => onDrawingModeChange(DRAWING_MODES.CIRCLE)}
+                    className={`p-3 hover:bg-gray-50 transition-colors border-b border-gray-200 block w-full ${
+                        currentDrawingMode === DRAWING_MODES.CIRCLE ? 'bg-blue-50 text-blue-600' : ''
+                    }`}
+                    title="צייר עיגול (רדיוס במטרים)"
+                >
+                    <CircleDot size={18} />
+                </button>
+                <button
+                    onClick={() => onDrawingModeChange(DRAWING_MODES.FREEHAND)}
+                    className={`p-3 hover:bg-gray-50 transition-colors border-b border-gray-200 block w-full ${
+                        currentDrawingMode === DRAWING_MODES.FREEHAND ? 'bg-blue-50 text-blue-600' : ''
+                    }`}
+                    title="ציור חופשי"
+                >
+                    <Pencil size={18} />
+                </button>
+                <button
+                    onClick={() => onDrawingModeChange(
+                        currentDrawingMode === DRAWING_MODES.MEASURE ? DRAWING_MODES.NONE : DRAWING_MODES.MEASURE
+                    )}
+                    className={`p-3 hover:bg-gray-50 transition-colors border-b border-gray-200 block w-full ${
+                        currentDrawingMode === DRAWING_MODES.MEASURE ? 'bg-blue-50 text-blue-600' : ''
+                    }`}
+                    title="מדידה"
+                >
+                    <Ruler size={18} />
+                </button>
+                <button
+                    onClick={() => onDrawingModeChange(
+                        currentDrawingMode === DRAWING_MODES.SELECT ? DRAWING_MODES.NONE : DRAWING_MODES.SELECT
+                    )}
+                    className={`p-3 hover:bg-gray-50 transition-colors border-b border-gray-200 block w-full ${
+                        currentDrawingMode === DRAWING_MODES.SELECT ? 'bg-blue-50 text-blue-600' : ''
+                    }`}
+                    title="בחר צורה לעריכה (Alt+לחיצה מוחקת נקודה)"
+                >
+                    <MousePointer2 size={18} />
+                </button>
+                <button
+                    onClick={onDeleteSelected}
+                    disabled={!hasSelection}
+                    className="p-3 hover:bg-red-50 hover:text-red-600 transition-colors border-b border-gray-200 block w-full disabled:opacity-40 disabled:cursor-not-allowed"
+                    title="מחק צורה נבחרת (Delete)"
+                >
+                    <Trash2 size={18} />
+                </button>
+                <button
+                    onClick={onToggleSnapping}
+                    className={`p-3 hover:bg-gray-50 transition-colors border-b border-gray-200 block w-full ${
+                        snappingEnabled ? 'bg-blue-50 text-blue-600' : ''
+                    }`}
+                    title={snappingEnabled ? 'כבה הצמדה' : 'הפעל הצמדה'}
+                >
+                    <Magnet size={18} />
+                </button>
+                <button
+                    onClick={onToggleSpatialQuery}
+                    className={`p-3 hover:bg-gray-50 transition-colors border-b border-gray-200 block w-full ${
+                        spatialQueryEnabled ? 'bg-blue-50 text-blue-600' : ''
+                    }`}
+                    title="בחר ישויות בתוך האזור המצויר"
+                >
+                    <ScanSearch size={18} />
+                </button>
                 <button
                     onClick={onClearDrawing}
                     className="p-3 hover:bg-red-50 hover:text-red-600 transition-colors block w-full"
@@ -76,6 +168,68 @@ export const MapControls = ({
                     ✕
                 </button>
             </div>
+
+            {/* Edit History */}
+            <div className="bg-white rounded-lg shadow-lg border border-gray-200 overflow-hidden">
+                <button
+                    onClick={onUndo}
+                    disabled={!canUndo}
+                    className="p-3 hover:bg-gray-50 transition-colors border-b border-gray-200 block w-full disabled:opacity-40 disabled:cursor-not-allowed"
+                    title="בטל (Ctrl+Z)"
+                >
+                    <Undo2 size={18} />
+                </button>
+                <button
+                    onClick={onRedo}
+                    disabled={!canRedo}
+                    className="p-3 hover:bg-gray-50 transition-colors block w-full disabled:opacity-40 disabled:cursor-not-allowed"
+                    title="בצע שוב (Ctrl+Y)"
+                >
+                    <Redo2 size={18} />
+                </button>
+            </div>
+
+            {/* Panels */}
+            {(onToggleAttributeTable || onToggleFilterPanel || onToggleCatalog) && (
+                <div className="bg-white rounded-lg shadow-lg border border-gray-200 overflow-hidden divide-y divide-gray-200">
+                    {onToggleCatalog && (
+                        <button
+                            onClick={onToggleCatalog}
+                            className={`p-3 hover:bg-gray-50 transition-colors block w-full ${
+                                catalogOpen ? 'bg-blue-50 text-blue-600' : ''
+                            }`}
+                            title="קטלוג מוצרים"
+                        >
+                            <Library size={18} />
+                        </button>
+                    )}
+                    {onToggleFilterPanel && (
+                        <button
+                            onClick={onToggleFilterPanel}
+                            className={`p-3 hover:bg-gray-50 transition-colors block w-full relative ${
+                                filterPanelOpen ? 'bg-blue-50 text-blue-600' : ''
+                            }`}
+                            title="סינון ישויות"
+                        >
+                            <Filter size={18} />
+                            {filterActive && (
+                                <span className="absolute top-1.5 left-1.5 w-2 h-2 rounded-full bg-blue-600" />
+                            )}
+                        </button>
+                    )}
+                    {onToggleAttributeTable && (
+                        <button
+                            onClick={onToggleAttributeTable}
+                            className={`p-3 hover:bg-gray-50 transition-colors block w-full ${
+                                attributeTableOpen ? 'bg-blue-50 text-blue-600' : ''
+                            }`}
+                            title="טבלת מאפיינים"
+                        >
+                            <Table size={18} />
+                        </button>
+                    )}
+                </div>
+            )}
         </div>
     );
 };
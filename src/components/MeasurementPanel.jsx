@@ -0,0 +1,73 @@
+// src/components/MeasurementPanel.jsx
+
+import { MEASURE_TYPES, LENGTH_UNITS, AREA_UNITS } from '../constants/map.constants.js';
+
+export const MeasurementPanel = ({
+                                     measureType,
+                                     onMeasureTypeChange,
+                                     lengthUnit,
+                                     areaUnit,
+                                     onUnitsChange,
+                                     onClearMeasurements,
+                                 }) => {
+    return (
+        <div className="absolute top-4 right-20 z-10 bg-white rounded-lg shadow-lg border border-gray-200 overflow-hidden w-48" dir="rtl">
+            <div className="px-3 py-2 text-sm font-semibold text-gray-700 border-b border-gray-200">
+                מדידה
+            </div>
+            <div className="p-2 space-y-2">
+                <div className="flex gap-1">
+                    {[
+                        { id: MEASURE_TYPES.DISTANCE, name: 'מרחק' },
+                        { id: MEASURE_TYPES.AREA, name: 'שטח' },
+                    ].map((type) => (
+                        <button
+                            key={type.id}
+                            onClick={() => onMeasureTypeChange(type.id)}
+                            className={`flex-1 px-3 py-1 text-sm rounded transition-colors ${
+                                measureType === type.id
+                                    ? 'bg-blue-100 text-blue-700 font-medium'
+                                    : 'hover:bg-gray-50 text-gray-600'
+                            }`}
+                        >
+                            {type.name}
+                        </button>
+                    ))}
+                </div>
+
+                <label className="flex justify-between items-center gap-2 text-sm text-gray-600">
+                    אורך:
+                    <select
+                        value={lengthUnit}
+                        onChange={(e) => onUnitsChange(e.target.value, areaUnit)}
+                        className="border border-gray-200 rounded px-1 py-0.5"
+                    >
+                        {Object.values(LENGTH_UNITS).map((unit) => (
+                            <option key={unit.id} value={unit.id}>{unit.name}</option>
+                        ))}
+                    </select>
+                </label>
+
+                <label className="flex justify-between items-center gap-2 text-sm text-gray-600">
+                    שטח:
+                    <select
+                        value={areaUnit}
+                        onChange={(e) => onUnitsChange(lengthUnit, e.target.value)}
+                        className="border border-gray-200 rounded px-1 py-0.5"
+                    >
+                        {Object.values(AREA_UNITS).map((unit) => (
+                            <option key={unit.id} value={unit.id}>{unit.name}</option>
+                        ))}
+                    </select>
+                </label>
+
+                <button
+                    onClick={onClearMeasurements}
+                    className="w-full px-3 py-1 text-xs bg-red-50 text-red-600 rounded hover:bg-red-100 transition-colors"
+                >
+                    נקה מדידות
+                </button>
+            </div>
+        </div>
+    );
+};
@@ -0,0 +1,37 @@
+// src/components/RenderModeSelector.jsx
+
+import { RENDER_MODES } from '../constants/map.constants.js';
+
+const RENDER_MODE_OPTIONS = [
+    { id: RENDER_MODES.FEATURES, name: 'ישויות' },
+    { id: RENDER_MODES.HEATMAP, name: 'מפת חום' },
+    { id: RENDER_MODES.HEXBIN, name: 'משושים' },
+];
+
+export const RenderModeSelector = ({
+                                       renderMode,
+                                       onRenderModeChange,
+                                   }) => {
+    return (
+        <div className="absolute top-56 left-4 z-10 bg-white rounded-lg shadow-lg border border-gray-200 overflow-hidden" dir="rtl">
+            <div className="px-3 py-2 text-sm font-semibold text-gray-700 border-b border-gray-200">
+                תצוגה
+            </div>
+            <div className="p-2 space-y-1">
+                {RENDER_MODE_OPTIONS.map((option) => (
+                    <button
+                        key={option.id}
+                        onClick={() => onRenderModeChange(option.id)}
+                        className={`w-full text-right px-3 py-2 text-sm rounded transition-colors ${
+                            renderMode === option.id
+                                ? 'bg-blue-100 text-blue-700 font-medium'
+                                : 'hover:bg-gray-50 text-gray-600'
+                        }`}
+                    >
+                        {option.name}
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+};
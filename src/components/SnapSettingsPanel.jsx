@@ -0,0 +1,75 @@
+// src/components/SnapSettingsPanel.jsx
+
+import { SNAP_TARGETS } from '../constants/map.constants.js';
+
+const SNAP_TARGET_NAMES = {
+    [SNAP_TARGETS.MAIN]: 'שכבה ראשית',
+    [SNAP_TARGETS.OTHER]: 'שכבות נוספות',
+    [SNAP_TARGETS.DRAWING]: 'ציורים',
+};
+
+export const SnapSettingsPanel = ({
+                                      snapOptions,
+                                      onSnapOptionsChange,
+                                  }) => {
+    const toggleTarget = (target) => {
+        const targets = snapOptions.targets.includes(target)
+            ? snapOptions.targets.filter(item => item !== target)
+            : [...snapOptions.targets, target];
+        onSnapOptionsChange({ targets });
+    };
+
+    return (
+        <div className="absolute bottom-4 right-4 z-10 bg-white rounded-lg shadow-lg border border-gray-200 overflow-hidden w-48" dir="rtl">
+            <div className="px-3 py-2 text-sm font-semibold text-gray-700 border-b border-gray-200">
+                הצמדה
+            </div>
+            <div className="p-2 space-y-1 text-sm text-gray-600">
+                {Object.values(SNAP_TARGETS).map((target) => (
+                    <label key={target} className="flex items-center gap-2">
+                        <input
+                            type="checkbox"
+                            checked={snapOptions.targets.includes(target)}
+                            onChange={() => toggleTarget(target)}
+                        />
+                        {SNAP_TARGET_NAMES[target]}
+                    </label>
+                ))}
+
+                <div className="border-t border-gray-200 pt-1 mt-1" />
+
+                <label className="flex items-center gap-2">
+                    <input
+                        type="checkbox"
+                        checked={snapOptions.vertex}
+                        onChange={(e) => onSnapOptionsChange({ vertex: e.target.checked })}
+                    />
+                    לקודקודים
+                </label>
+                <label className="flex items-center gap-2">
+                    <input
+                        type="checkbox"
+                        checked={snapOptions.edge}
+                        onChange={(e) => onSnapOptionsChange({ edge: e.target.checked })}
+                    />
+                    לצלעות
+                </label>
+
+                <label className="block pt-1">
+                    <span className="flex justify-between">
+                        <span>סבילות:</span>
+                        <span className="font-mono">{snapOptions.pixelTolerance}px</span>
+                    </span>
+                    <input
+                        type="range"
+                        min={1}
+                        max={30}
+                        value={snapOptions.pixelTolerance}
+                        onChange={(e) => onSnapOptionsChange({ pixelTolerance: Number(e.target.value) })}
+                        className="w-full"
+                    />
+                </label>
+            </div>
+        </div>
+    );
+};
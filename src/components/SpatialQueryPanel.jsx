@@ -0,0 +1,47 @@
+// src/components/SpatialQueryPanel.jsx
+
+import { SPATIAL_PREDICATES } from '../constants/map.constants.js';
+
+export const SpatialQueryPanel = ({
+                                      predicate,
+                                      bufferMeters,
+                                      resultCount,
+                                      onQueryOptionsChange,
+                                  }) => {
+    return (
+        <div className="absolute bottom-4 right-56 z-10 bg-white rounded-lg shadow-lg border border-gray-200 overflow-hidden w-52" dir="rtl">
+            <div className="px-3 py-2 text-sm font-semibold text-gray-700 border-b border-gray-200 flex justify-between">
+                <span>בחירה לפי אזור</span>
+                <span className="font-mono text-blue-600">{resultCount}</span>
+            </div>
+            <div className="p-2 space-y-1 text-sm text-gray-600">
+                {[
+                    { id: SPATIAL_PREDICATES.INTERSECTS, name: 'חותך את האזור' },
+                    { id: SPATIAL_PREDICATES.WITHIN, name: 'מוכל באזור' },
+                ].map((option) => (
+                    <label key={option.id} className="flex items-center gap-2">
+                        <input
+                            type="radio"
+                            name="spatialPredicate"
+                            checked={predicate === option.id}
+                            onChange={() => onQueryOptionsChange({ predicate: option.id })}
+                        />
+                        {option.name}
+                    </label>
+                ))}
+
+                <label className="flex justify-between items-center gap-2 pt-1">
+                    חיץ לקו/נקודה (מ׳):
+                    <input
+                        type="number"
+                        min={0}
+                        step={10}
+                        value={bufferMeters}
+                        onChange={(e) => onQueryOptionsChange({ bufferMeters: Math.max(Number(e.target.value) || 0, 0) })}
+                        className="w-20 border border-gray-200 rounded px-1 py-0.5"
+                    />
+                </label>
+            </div>
+        </div>
+    );
+};
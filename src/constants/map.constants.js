@@ -5,10 +5,9 @@ export const MAP_CONSTANTS = {
     DEFAULT_CENTER: [35.2137, 31.7683], // Tel Aviv
     ANIMATION_DURATION: 1000,
     DEFAULT_ENTITY_ID_COLUMN: 'מזהה רשימה',
-    TILE_MATRIX_SET: 'WorldCRS84',
-    TILE_SIZE: 256,
     MAX_ZOOM: 21,
     MIN_ZOOM: 1,
+    CIRCLE_SEGMENTS: 64,
 };
 
 export const DRAWING_MODES = {
@@ -16,6 +15,111 @@ export const DRAWING_MODES = {
     POLYGON: 'polygon',
     LINE: 'line',
     POINT: 'point',
+    RECTANGLE: 'rectangle',
+    CIRCLE: 'circle',
+    FREEHAND: 'freehand',
+    MEASURE: 'measure',
+    SELECT: 'select',
+};
+
+export const MEASURE_TYPES = {
+    DISTANCE: 'distance',
+    AREA: 'area',
+};
+
+// Factors convert from meters / square meters
+export const LENGTH_UNITS = {
+    METERS: { id: 'm', name: 'מטר', symbol: 'm', factor: 1 },
+    KILOMETERS: { id: 'km', name: 'קילומטר', symbol: 'km', factor: 1000 },
+    NAUTICAL_MILES: { id: 'nmi', name: 'מייל ימי', symbol: 'nmi', factor: 1852 },
+};
+
+export const AREA_UNITS = {
+    SQUARE_METERS: { id: 'm2', name: 'מטר רבוע', symbol: 'm²', factor: 1 },
+    DUNAM: { id: 'dunam', name: 'דונם', symbol: 'dunam', factor: 1000 },
+    SQUARE_KILOMETERS: { id: 'km2', name: 'קילומטר רבוע', symbol: 'km²', factor: 1000000 },
+};
+
+export const CLUSTER_COLOR_MODES = {
+    MAJORITY: 'majority',
+    PIE: 'pie',
+};
+
+export const DEFAULT_CLUSTERING = {
+    DISTANCE: 40, // Pixels
+    MIN_DISTANCE: 20, // Pixels
+    COLOR_MODE: CLUSTER_COLOR_MODES.MAJORITY,
+};
+
+export const RENDER_MODES = {
+    FEATURES: 'features',
+    HEATMAP: 'heatmap',
+    HEXBIN: 'hexbin',
+};
+
+export const AGGREGATION_TYPES = {
+    COUNT: 'count',
+    SUM: 'sum',
+};
+
+export const DEFAULT_AGGREGATION = {
+    WEIGHT_PROPERTY: null,
+    HEATMAP_RADIUS: 12, // Pixels
+    HEATMAP_BLUR: 18, // Pixels
+    HEXBIN_SIZE: 30, // Hexagon radius in pixels
+    HEXBIN_COLORS: ['#fef3c7', '#f97316', '#b91c1c'], // Low to high
+    HEXBIN_OPACITY: 0.6,
+};
+
+export const DEFAULT_LABELS = {
+    FONT: 'bold 13px Arial, sans-serif',
+    COLOR: '#1f2937',
+    HALO_COLOR: '#ffffff',
+    HALO_WIDTH: 3,
+    POINT_OFFSET_Y: -14, // Pixels above the point symbol
+    MIN_ZOOM: 12,
+    MAX_ZOOM: undefined,
+};
+
+export const SNAP_TARGETS = {
+    DRAWING: 'drawing',
+    MAIN: 'main',
+    OTHER: 'other',
+};
+
+export const DEFAULT_SNAPPING = {
+    ENABLED: true,
+    PIXEL_TOLERANCE: 10,
+    VERTEX: true,
+    EDGE: true,
+    TARGETS: [SNAP_TARGETS.DRAWING, SNAP_TARGETS.MAIN, SNAP_TARGETS.OTHER],
+};
+
+export const SPATIAL_PREDICATES = {
+    INTERSECTS: 'intersects',
+    WITHIN: 'within',
+};
+
+export const DEFAULT_SPATIAL_QUERY = {
+    ENABLED: false,
+    PREDICATE: SPATIAL_PREDICATES.INTERSECTS,
+    BUFFER_METERS: 100,
+};
+
+export const VALIDATION_ERRORS = {
+    SELF_INTERSECTION: 'self-intersection',
+    TOO_FEW_VERTICES: 'too-few-vertices',
+    AREA_TOO_SMALL: 'area-too-small',
+    AREA_TOO_LARGE: 'area-too-large',
+    OUTSIDE_EXTENT: 'outside-extent',
+};
+
+export const DEFAULT_VALIDATION = {
+    MIN_POLYGON_VERTICES: 3,
+    MIN_LINE_VERTICES: 2,
+    MIN_AREA: 1, // Square meters
+    MAX_AREA: null, // Square meters, no limit by default
+    EXTENT: null, // [minX, minY, maxX, maxY] in EPSG:4326, no limit by default
 };
 
 export const DEFAULT_STYLES = {
@@ -27,22 +131,54 @@ export const DEFAULT_STYLES = {
     SELECTED_FILL_COLOR: '#ff3388',
     SELECTED_STROKE_COLOR: '#ff3388',
     HIGHLIGHT_FILL_OPACITY: 0.4,
+    QUERY_FILL_COLOR: '#22c55e',
+    QUERY_STROKE_COLOR: '#16a34a',
+    WARNING_COLOR: '#f97316',
+    ERROR_COLOR: '#dc2626',
+    FOOTPRINT_COLOR: '#7c3aed',
+    FOOTPRINT_LINE_DASH: [6, 4],
 };
 
-export const BASE_LAYER_CONFIGS = {
-    OSM: {
-        id: 'osm',
-        name: 'מפת רחוב',
-        url: '', // Will be populated from WMTS service
+export const BASE_LAYER_PRODUCTS = [
+    {
+        id: 'orthophoto-best',
+        name: 'תצלום אורתופוטו איכותי',
+        productType: 'OrthophotoBest',
+        productId: 'ORTHOPHOTO_MOSAIC_BASE',
     },
-    SATELLITE: {
-        id: 'satellite',
-        name: 'תמונת לווין',
-        url: '', // Will be populated from WMTS service
-    },
-    ROADS: {
-        id: 'roads',
-        name: 'דרכים וכבישים',
-        url: '', // Will be populated from WMTS service
+    {
+        id: 'bluemarble',
+        name: 'תמונת לווין כחול שיש',
+        productType: 'Raster',
+        productId: 'bluemarble_5km',
     },
+];
+
+export const WMTS_PREFERENCES = {
+    FORMATS: ['image/png', 'image/jpeg'],
+    TILE_MATRIX_SETS: ['WorldCRS84', 'InspireCRS84Quad', 'GoogleMapsCompatible'],
+};
+
+export const CSW_QUERYABLES = [
+    { id: 'mc:productType', name: 'סוג מוצר' },
+    { id: 'mc:productId', name: 'מזהה מוצר' },
+    { id: 'mc:productName', name: 'שם מוצר', like: true },
+    { id: 'mc:region', name: 'אזור', like: true },
+];
+
+export const DEFAULT_CATALOG = {
+    PAGE_SIZE: 10,
+};
+
+export const AUTH_STATUS = {
+    VALID: 'valid',
+    REFRESHING: 'refreshing',
+    EXPIRED: 'expired',
+};
+
+export const DEFAULT_AUTH = {
+    LOCATION: 'header', // header | query
+    HEADER_NAME: 'x-api-key',
+    QUERY_PARAMETER: 'token',
+    FAILURE_STATUSES: [401, 403],
 };
\ No newline at end of file
@@ -3,7 +3,10 @@
 import { useEffect, useRef, useState } from 'react';
 import { Map, View } from 'ol';
 import { defaults as defaultControls } from 'ol/control';
-import { defaults as defaultInteractions } from 'ol/interaction';
+import { defaults as defaultInteractions, DragBox } from 'ol/interaction';
+import { platformModifierKeyOnly, shiftKeyOnly } from 'ol/events/condition';
+import { Cluster } from 'ol/source';
+import { Vector as VectorLayer } from 'ol/layer';
 import { MAP_CONSTANTS } from '../constants/map.constants.js';
 
 export const useMapInitialization = (
@@ -135,30 +138,106 @@ export const useCoordinateDisplay = (map) => {
 };
 
 // useFeatureSelection hook
-export const useFeatureSelection = (map, onFeatureSelect) => {
-    useEffect(async () => {
+// Click selects one feature, Shift+click adds or removes a feature, Ctrl+drag adds every feature in the box.
+export const useFeatureSelection = (
+    map,
+    onFeatureSelect,
+    onClusterSelect,
+    selectedFeatures = [],
+    onSelectionChange = null
+) => {
+    // The handlers read the latest selection and callbacks, so they are subscribed once per map
+    const selectionRef = useRef(null);
+    selectionRef.current = { selectedFeatures, onFeatureSelect, onClusterSelect, onSelectionChange };
+
+    useEffect(() => {
         if (!map) return;
 
-        const selectInteraction = new (await import('ol/interaction')).Select({
-            condition: (await import('ol/events/condition')).click,
-            layers: async (layer) => layer instanceof (await import('ol/layer')).Vector,
-        });
+        // Layers flagged excludeFromSelection (e.g. the drawing layer) handle their own selection
+        const isSelectable = (layer) => layer instanceof VectorLayer
+            && layer.getVisible()
+            && !layer.get('excludeFromSelection');
 
-        selectInteraction.on('select', (event) => {
-            const selectedFeatures = event.selected;
-            if (selectedFeatures.length > 0 && onFeatureSelect) {
-                const feature = selectedFeatures[0];
+        const handleClick = (event) => {
+            const { selectedFeatures, onFeatureSelect, onClusterSelect, onSelectionChange } = selectionRef.current;
+            let feature = map.forEachFeatureAtPixel(event.pixel, item => item, {
+                layerFilter: isSelectable,
+            });
+
+            // Cluster features wrap the real features
+            const clusterMembers = feature?.get('features');
+            if (Array.isArray(clusterMembers)) {
+                if (clusterMembers.length > 1) {
+                    if (onClusterSelect) {
+                        onClusterSelect(feature);
+                    }
+                    return;
+                }
+                feature = clusterMembers[0];
+            }
+
+            let nextSelection;
+            if (shiftKeyOnly(event)) {
+                if (!feature) return;
+                nextSelection = selectedFeatures.includes(feature)
+                    ? selectedFeatures.filter(item => item !== feature)
+                    : [...selectedFeatures, feature];
+            } else {
+                nextSelection = feature ? [feature] : [];
+            }
+
+            if (feature && nextSelection.includes(feature) && onFeatureSelect) {
                 const properties = feature.getProperties();
                 onFeatureSelect(properties);
             }
+
+            if (onSelectionChange) {
+                onSelectionChange(nextSelection);
+            }
+        };
+
+        const dragBox = new DragBox({
+            condition: platformModifierKeyOnly,
         });
 
-        map.addInteraction(selectInteraction);
+        dragBox.on('boxend', () => {
+            const { selectedFeatures, onSelectionChange } = selectionRef.current;
+            const extent = dragBox.getGeometry().getExtent();
+            const boxFeatures = [];
+
+            map.getLayers().getArray().filter(isSelectable).forEach((layer) => {
+                let source = layer.getSource();
+                if (source instanceof Cluster) {
+                    source = source.getSource();
+                }
+
+                // Features hidden by the layer's filter are not selectable
+                const featureFilter = layer.get('featureFilter');
+                source?.forEachFeatureIntersectingExtent(extent, (feature) => {
+                    if (!featureFilter || featureFilter(feature.getProperties())) {
+                        boxFeatures.push(feature);
+                    }
+                });
+            });
+
+            const nextSelection = [
+                ...selectedFeatures,
+                ...boxFeatures.filter(feature => !selectedFeatures.includes(feature)),
+            ];
+
+            if (onSelectionChange) {
+                onSelectionChange(nextSelection);
+            }
+        });
+
+        map.on('singleclick', handleClick);
+        map.addInteraction(dragBox);
 
         return () => {
-            map.removeInteraction(selectInteraction);
+            map.un('singleclick', handleClick);
+            map.removeInteraction(dragBox);
         };
-    }, [map, onFeatureSelect]);
+    }, [map]);
 
     const selectFeatureById = (layer, featureId, idColumn) => {
         if (!layer) return;
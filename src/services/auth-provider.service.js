@@ -0,0 +1,166 @@
+// src/services/auth-provider.service.js
+
+import BaseObject from 'ol/Object';
+import TileState from 'ol/TileState';
+import { AUTH_STATUS, DEFAULT_AUTH } from '../constants/map.constants.js';
+
+/**
+ * Holds the API key for the raster services and keeps it fresh
+ * Requests carry the key in a header (or a query parameter), and a 401/403 response refreshes it
+ * through getToken() and retries once. Listen to change:status to follow the session.
+ */
+export class AuthProvider extends BaseObject {
+    constructor({
+                    token = null,
+                    getToken = null,
+                    location = DEFAULT_AUTH.LOCATION,
+                    headerName = DEFAULT_AUTH.HEADER_NAME,
+                    queryParameter = DEFAULT_AUTH.QUERY_PARAMETER,
+                } = {}) {
+        super();
+        this.token = token;
+        this.getTokenFunction = getToken;
+        this.location = location;
+        this.headerName = headerName;
+        this.queryParameter = queryParameter;
+        this.refreshPromise = null;
+        this.set('status', AUTH_STATUS.VALID);
+    }
+
+    /**
+     * Gets the session status, one of AUTH_STATUS
+     */
+    getStatus() {
+        return this.get('status');
+    }
+
+    /**
+     * Checks if the token can be renewed, i.e. a refresher was given
+     */
+    canRefresh() {
+        return Boolean(this.getTokenFunction);
+    }
+
+    /**
+     * Gets the current token, fetching the first one when only a refresher was given
+     */
+    async getCurrentToken() {
+        if (this.token === null && this.getTokenFunction && this.getStatus() !== AUTH_STATUS.EXPIRED) {
+            await this.refresh();
+        }
+        return this.token;
+    }
+
+    /**
+     * Gets a new token from the refresher
+     * Concurrent calls share one refresh; resolves to whether a token was received.
+     */
+    refresh() {
+        if (!this.getTokenFunction) {
+            this.set('status', AUTH_STATUS.EXPIRED);
+            return Promise.resolve(false);
+        }
+
+        if (!this.refreshPromise) {
+            this.set('status', AUTH_STATUS.REFRESHING);
+            this.refreshPromise = Promise.resolve()
+                .then(() => this.getTokenFunction())
+                .then((token) => {
+                    if (!token) {
+                        throw new Error('No token was returned');
+                    }
+                    this.token = token;
+                    this.set('status', AUTH_STATUS.VALID);
+                    return true;
+                })
+                .catch((error) => {
+                    console.error('Failed to refresh token:', error);
+                    this.set('status', AUTH_STATUS.EXPIRED);
+                    return false;
+                })
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+        return this.refreshPromise;
+    }
+
+    /**
+     * Adds the token to request options or the URL, depending on where the service expects it
+     */
+    authorize(url, options, token) {
+        if (!token) {
+            return { url, options };
+        }
+
+        if (this.location === 'query') {
+            let separator = '?';
+            if (url.includes('?')) {
+                separator = /[?&]$/.test(url) ? '' : '&';
+            }
+            return { url: `${url}${separator}${this.queryParameter}=${encodeURIComponent(token)}`, options };
+        }
+
+        const headers = new Headers(options.headers);
+        headers.set(this.headerName, token);
+        return { url, options: { ...options, headers } };
+    }
+
+    /**
+     * Fetches with the token, refreshing it and retrying once when the service rejects it
+     */
+    async fetch(url, options = {}) {
+        const token = await this.getCurrentToken();
+        const request = this.authorize(url, options, token);
+        const response = await fetch(request.url, request.options);
+
+        if (!DEFAULT_AUTH.FAILURE_STATUSES.includes(response.status)) {
+            return response;
+        }
+
+        // An expired session waits for an explicit refresh instead of refreshing on every request
+        if (this.getStatus() === AUTH_STATUS.EXPIRED) {
+            return response;
+        }
+
+        // Another request may already have replaced the rejected token
+        const refreshed = this.token !== token || await this.refresh();
+        if (!refreshed) {
+            return response;
+        }
+
+        const retryRequest = this.authorize(url, options, this.token);
+        const retryResponse = await fetch(retryRequest.url, retryRequest.options);
+        if (DEFAULT_AUTH.FAILURE_STATUSES.includes(retryResponse.status)) {
+            this.set('status', AUTH_STATUS.EXPIRED);
+        }
+        return retryResponse;
+    }
+
+    /**
+     * Creates a tile load function that loads image tiles through fetch, so they carry the token
+     */
+    createTileLoadFunction() {
+        return (tile, src) => {
+            this.fetch(src)
+                .then((response) => {
+                    if (!response.ok) {
+                        throw new Error(`Tile request failed: ${response.status} ${response.statusText}`);
+                    }
+                    return response.blob();
+                })
+                .then((blob) => {
+                    const image = tile.getImage();
+                    const objectUrl = URL.createObjectURL(blob);
+                    const revoke = () => URL.revokeObjectURL(objectUrl);
+
+                    image.addEventListener('load', revoke, { once: true });
+                    image.addEventListener('error', revoke, { once: true });
+                    image.src = objectUrl;
+                })
+                .catch(() => {
+                    tile.setState(TileState.ERROR);
+                });
+        };
+    }
+}
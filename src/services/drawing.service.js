@@ -1,19 +1,68 @@
 // src/services/drawing.service.js
 
-import { Draw, Modify, Snap } from 'ol/interaction';
+import { Draw, Modify, Snap, Select } from 'ol/interaction';
+import { altKeyOnly, click, singleClick } from 'ol/events/condition';
 import { Vector as VectorLayer } from 'ol/layer';
-import { Vector as VectorSource } from 'ol/source';
+import { Vector as VectorSource, Cluster } from 'ol/source';
 import { Style, Fill, Stroke, Circle } from 'ol/style';
-import { WKT } from 'ol/format';
-import { DRAWING_MODES } from '../constants/map.constants.js';
+import { WKT, GeoJSON } from 'ol/format';
+import { GeometryCollection, MultiPoint, MultiPolygon } from 'ol/geom';
+import { createBox } from 'ol/interaction/Draw';
+import { circular } from 'ol/geom/Polygon';
+import { getDistance } from 'ol/sphere';
+import { boundingExtent, buffer } from 'ol/extent';
+import { GeometryValidationService } from './geometry-validation.service.js';
+import { GeometryUtils } from '../utils/geometry.utils.js';
+import { DRAWING_MODES, MAP_CONSTANTS, DEFAULT_STYLES, DEFAULT_SNAPPING, SNAP_TARGETS } from '../constants/map.constants.js';
+
+// Pixels from a vertex or segment where the modify interaction picks it up
+const MODIFY_PIXEL_TOLERANCE = 10;
 
 export class DrawingService {
     constructor() {
         this.wktFormat = new WKT();
+        this.geoJsonFormat = new GeoJSON();
         this.drawInteraction = null;
         this.modifyInteraction = null;
-        this.snapInteraction = null;
+        this.snapInteractions = [];
+        this.snapLayers = {};
+        this.snapOptions = {
+            enabled: DEFAULT_SNAPPING.ENABLED,
+            pixelTolerance: DEFAULT_SNAPPING.PIXEL_TOLERANCE,
+            vertex: DEFAULT_SNAPPING.VERTEX,
+            edge: DEFAULT_SNAPPING.EDGE,
+            targets: DEFAULT_SNAPPING.TARGETS,
+        };
+        this.selectInteraction = null;
+        this.onSelectionChange = null;
+        this.currentMode = DRAWING_MODES.NONE;
+        this.circleSketch = null;
+        this.onDrawEnd = null;
+
+        // Buffer distance in meters applied to drawn points and lines, 0 disables buffering
+        this.bufferMeters = 0;
+        this.bufferCache = new WeakMap();
+
+        // Validation results are kept outside the features so they never leak into the output
+        this.validator = new GeometryValidationService();
+        this.validationResults = new WeakMap();
+        this.drawingStyle = this.createDrawingStyle();
         this.drawingLayer = this.createDrawingLayer();
+        this.snapLayers[SNAP_TARGETS.DRAWING] = this.drawingLayer;
+
+        // Edit history
+        this.undoStack = [];
+        this.redoStack = [];
+        this.sketchFeature = null;
+        this.isReplaying = false;
+        this.pendingModify = null;
+        this.onHistoryChange = null;
+
+        // Drawing change reporting
+        this.onDrawingChange = null;
+        this.nextFeatureId = 1;
+        this.suppressChangeEvents = false;
+        this.listenToDrawingSource();
     }
 
     /**
@@ -22,12 +71,225 @@ export class DrawingService {
     createDrawingLayer() {
         const source = new VectorSource();
 
-        return new VectorLayer({
+        const layer = new VectorLayer({
             source,
-            style: this.createDrawingStyle(),
+            style: (feature) => this.getFeatureStyle(feature),
+        });
+
+        layer.set('name', 'drawing');
+        layer.set('title', 'שרטוטים');
+        // Drawn features are selected by the drawing SELECT mode, not by entity selection
+        layer.set('excludeFromSelection', true);
+        return layer;
+    }
+
+    /**
+     * Assigns ids to drawn features and reports every change of the drawing layer
+     */
+    listenToDrawingSource() {
+        const source = this.drawingLayer.getSource();
+
+        source.on('addfeature', (event) => {
+            if (event.feature.getId() === undefined) {
+                // The id change would report the drawing a second time, the add itself reports it
+                const suppressChangeEvents = this.suppressChangeEvents;
+                this.suppressChangeEvents = true;
+                try {
+                    event.feature.setId(this.createFeatureId());
+                } finally {
+                    this.suppressChangeEvents = suppressChangeEvents;
+                }
+            }
+        });
+
+        source.on('change', () => {
+            // Vertex drags are reported once, on modifyend
+            if (this.suppressChangeEvents || this.pendingModify) return;
+            this.notifyDrawingChange();
+        });
+    }
+
+    /**
+     * Creates a feature id that is not used by any loaded or drawn feature
+     */
+    createFeatureId() {
+        const source = this.drawingLayer.getSource();
+        let id;
+        do {
+            id = `drawing-${this.nextFeatureId++}`;
+        } while (source.getFeatureById(id));
+
+        return id;
+    }
+
+    /**
+     * Gets the style of a drawn feature, highlighting invalid geometries
+     */
+    getFeatureStyle(feature) {
+        const result = this.validationResults.get(feature);
+        if (result && !result.valid) {
+            return this.validator.createWarningStyle(result);
+        }
+
+        const buffered = this.getBufferedGeometry(feature);
+        if (buffered) {
+            return [this.createBufferStyle(buffered), this.drawingStyle];
+        }
+
+        return this.drawingStyle;
+    }
+
+    /**
+     * Gets legend entries for the kinds of drawn features currently on the layer
+     */
+    getLegendEntries() {
+        const features = this.drawingLayer.getSource().getFeatures();
+        if (features.length === 0) return [];
+
+        const entries = [{
+            label: 'שרטוט',
+            geometryType: 'Polygon',
+            fill: 'rgba(255, 255, 255, 0.2)',
+            stroke: '#ffcc33',
+            strokeWidth: 2,
+            lineDash: [10, 10],
+        }];
+
+        if (features.some(feature => this.getBufferedGeometry(feature))) {
+            entries.push({
+                label: 'חיץ',
+                geometryType: 'Polygon',
+                fill: 'rgba(255, 204, 51, 0.15)',
+                stroke: '#ffcc33',
+                strokeWidth: 1,
+                lineDash: [4, 4],
+            });
+        }
+
+        if (features.some(feature => this.validationResults.get(feature)?.valid === false)) {
+            entries.push({
+                label: 'צורה לא תקינה',
+                geometryType: 'Polygon',
+                fill: 'rgba(249, 115, 22, 0.25)',
+                stroke: DEFAULT_STYLES.WARNING_COLOR,
+                strokeWidth: 2,
+                lineDash: [6, 6],
+            });
+        }
+
+        return entries;
+    }
+
+    /**
+     * Creates style for a buffer polygon drawn around a point or line
+     */
+    createBufferStyle(geometry) {
+        return new Style({
+            geometry,
+            fill: new Fill({
+                color: 'rgba(255, 204, 51, 0.15)',
+            }),
+            stroke: new Stroke({
+                color: '#ffcc33',
+                width: 1,
+                lineDash: [4, 4],
+            }),
         });
     }
 
+    /**
+     * Creates the Draw sketch style, previewing the buffer of the sketched point or line
+     */
+    createSketchStyle(geometryType) {
+        const sketchStyle = this.createDrawingStyle();
+        if (!['Point', 'LineString'].includes(geometryType)) return sketchStyle;
+
+        return (feature) => {
+            const geometry = feature.getGeometry();
+            if (this.bufferMeters <= 0 || geometry?.getType() !== geometryType) {
+                return sketchStyle;
+            }
+
+            const buffered = GeometryUtils.bufferGeometry(geometry, this.bufferMeters);
+            return buffered ? [this.createBufferStyle(buffered), sketchStyle] : sketchStyle;
+        };
+    }
+
+    /**
+     * Sets the buffer distance in meters for points and lines drawn from now on
+     */
+    setBufferDistance(meters) {
+        this.bufferMeters = Math.max(Number(meters) || 0, 0);
+        if (this.drawInteraction) {
+            this.drawInteraction.getOverlay().changed();
+        }
+    }
+
+    /**
+     * Gets the buffer polygon of a buffered point or line feature, or null
+     * Results are cached per geometry revision so styling stays cheap while panning.
+     */
+    getBufferedGeometry(feature) {
+        const meters = feature.get('bufferMeters');
+        const geometry = feature.getGeometry();
+        if (!(meters > 0) || !geometry) return null;
+
+        const cached = this.bufferCache.get(feature);
+        if (cached && cached.geometry === geometry && cached.revision === geometry.getRevision() && cached.meters === meters) {
+            return cached.buffered;
+        }
+
+        const buffered = GeometryUtils.bufferGeometry(geometry, meters);
+        this.bufferCache.set(feature, { geometry, revision: geometry.getRevision(), meters, buffered });
+        return buffered;
+    }
+
+    /**
+     * Creates style for the selected drawn feature, showing its vertices
+     */
+    createSelectedStyle() {
+        return [
+            new Style({
+                fill: new Fill({
+                    color: 'rgba(51, 136, 255, 0.2)',
+                }),
+                stroke: new Stroke({
+                    color: DEFAULT_STYLES.STROKE_COLOR,
+                    width: 3,
+                }),
+                image: new Circle({
+                    radius: 6,
+                    stroke: new Stroke({
+                        color: DEFAULT_STYLES.STROKE_COLOR,
+                        width: 2,
+                    }),
+                    fill: new Fill({
+                        color: 'rgba(255, 255, 255, 0.6)',
+                    }),
+                }),
+            }),
+            new Style({
+                image: new Circle({
+                    radius: 4,
+                    fill: new Fill({
+                        color: DEFAULT_STYLES.STROKE_COLOR,
+                    }),
+                }),
+                geometry: (feature) => {
+                    const geometry = feature.getGeometry();
+                    switch (geometry?.getType()) {
+                        case 'Polygon':
+                            return new MultiPoint(geometry.getCoordinates()[0]);
+                        case 'LineString':
+                            return new MultiPoint(geometry.getCoordinates());
+                        default:
+                            return undefined;
+                    }
+                },
+            }),
+        ];
+    }
+
     /**
      * Creates style for drawing interactions
      */
@@ -61,51 +323,133 @@ export class DrawingService {
 
         if (type === DRAWING_MODES.NONE) return;
 
-        let geometryType;
+        if (type === DRAWING_MODES.SELECT) {
+            this.startSelecting(map, onDrawEnd);
+            return;
+        }
+
+        let drawOptions;
         switch (type) {
             case DRAWING_MODES.POLYGON:
-                geometryType = 'Polygon';
+                drawOptions = { type: 'Polygon' };
                 break;
             case DRAWING_MODES.LINE:
-                geometryType = 'LineString';
+                drawOptions = { type: 'LineString' };
                 break;
             case DRAWING_MODES.POINT:
-                geometryType = 'Point';
+                drawOptions = { type: 'Point' };
+                break;
+            case DRAWING_MODES.RECTANGLE:
+                drawOptions = { type: 'Circle', geometryFunction: createBox() };
+                break;
+            case DRAWING_MODES.CIRCLE:
+                drawOptions = { type: 'Circle', geometryFunction: this.createGeodesicCircleFunction() };
+                break;
+            case DRAWING_MODES.FREEHAND:
+                drawOptions = { type: 'Polygon', freehand: true };
                 break;
             default:
                 return;
         }
 
+        this.currentMode = type;
+        this.onDrawEnd = onDrawEnd;
         this.drawInteraction = new Draw({
             source: this.drawingLayer.getSource(),
-            type: geometryType,
-            style: this.createDrawingStyle(),
+            ...drawOptions,
+            style: this.createSketchStyle(drawOptions.type),
+        });
+
+        this.drawInteraction.on('drawstart', (event) => {
+            this.sketchFeature = event.feature;
+
+            // A vertex drawn by the user invalidates anything that could be redone
+            if (!this.isReplaying) {
+                this.redoStack = [];
+            }
+            this.notifyHistoryChange();
+        });
+
+        this.drawInteraction.on('drawabort', () => {
+            this.sketchFeature = null;
+            this.notifyHistoryChange();
         });
 
         this.drawInteraction.on('drawend', (event) => {
-            if (onDrawEnd) {
-                const feature = event.feature;
-                const geometry = feature.getGeometry();
-                if (geometry) {
-                    const wkt = this.geometryToWKT(geometry);
-                    onDrawEnd(wkt);
-                }
+            this.sketchFeature = null;
+
+            // The feature reaches the source only after drawend, so its output needs the id now
+            if (event.feature.getId() === undefined) {
+                event.feature.setId(this.createFeatureId());
+            }
+
+            if (type === DRAWING_MODES.CIRCLE) {
+                this.setCircleProperties(event.feature);
+            }
+
+            if ([DRAWING_MODES.POINT, DRAWING_MODES.LINE].includes(type) && this.bufferMeters > 0) {
+                event.feature.set('bufferMeters', this.bufferMeters);
+            }
+
+            this.pushHistory({ type: 'add', features: [event.feature] });
+
+            if (onDrawEnd && event.feature.getGeometry()) {
+                onDrawEnd(this.getFeatureOutput(event.feature));
             }
         });
 
-        // Add modify interaction for editing drawn features
+        map.addInteraction(this.drawInteraction);
+        this.startEditing(map);
+    }
+
+    /**
+     * Starts modify and snap interactions for editing drawn features
+     */
+    startEditing(map) {
+        if (this.modifyInteraction) return;
+
+        // Add modify interaction for editing drawn features, Alt+click removes a vertex
         this.modifyInteraction = new Modify({
             source: this.drawingLayer.getSource(),
+            pixelTolerance: MODIFY_PIXEL_TOLERANCE,
+            deleteCondition: (event) => altKeyOnly(event) && singleClick(event),
         });
 
-        // Add snap interaction for better user experience
-        this.snapInteraction = new Snap({
-            source: this.drawingLayer.getSource(),
+        this.modifyInteraction.on('modifystart', (event) => {
+            // Only features within reach of the pointer can change, so only they are kept for undo
+            const { coordinate, map: eventMap } = event.mapBrowserEvent;
+            const extent = buffer(
+                boundingExtent([coordinate]),
+                MODIFY_PIXEL_TOLERANCE * eventMap.getView().getResolution()
+            );
+
+            this.pendingModify = this.drawingLayer.getSource().getFeaturesInExtent(extent).map(feature => ({
+                feature,
+                before: feature.getGeometry()?.clone(),
+            }));
+        });
+
+        this.modifyInteraction.on('modifyend', () => {
+            if (!this.pendingModify) return;
+
+            const changes = this.pendingModify
+                .map(change => ({ ...change, after: change.feature.getGeometry()?.clone() }))
+                .filter(change => !this.geometriesEqual(change.before, change.after));
+            this.pendingModify = null;
+
+            if (changes.length > 0) {
+                this.pushHistory({ type: 'modify', changes });
+                this.notifyDrawingChange();
+
+                const outputs = changes.map(change => this.getFeatureOutput(change.feature));
+                if (this.onDrawEnd) {
+                    this.onDrawEnd(outputs[outputs.length - 1]);
+                }
+            }
         });
 
-        map.addInteraction(this.drawInteraction);
         map.addInteraction(this.modifyInteraction);
-        map.addInteraction(this.snapInteraction);
+        this.startSnapping(map);
 
         // Add drawing layer to map if not already added
         if (!map.getLayers().getArray().includes(this.drawingLayer)) {
@@ -113,6 +457,192 @@ export class DrawingService {
         }
     }
 
+    /**
+     * Starts snap interactions, one per enabled target layer
+     * Snap must be added after Draw and Modify so it handles pointer events first.
+     */
+    startSnapping(map) {
+        this.stopSnapping(map);
+
+        const { enabled, pixelTolerance, vertex, edge, targets } = this.snapOptions;
+        if (!enabled || (!vertex && !edge)) return;
+
+        targets.forEach((target) => {
+            let source = this.snapLayers[target]?.getSource();
+            if (!source) return;
+
+            // Snap to the real geometries of clustered layers, not the cluster points
+            if (source instanceof Cluster) {
+                source = source.getSource();
+            }
+
+            const snapInteraction = new Snap({
+                source,
+                pixelTolerance,
+                vertex,
+                edge,
+            });
+
+            map.addInteraction(snapInteraction);
+            this.snapInteractions.push(snapInteraction);
+        });
+    }
+
+    /**
+     * Stops all snap interactions
+     */
+    stopSnapping(map) {
+        this.snapInteractions.forEach(snapInteraction => map.removeInteraction(snapInteraction));
+        this.snapInteractions = [];
+    }
+
+    /**
+     * Sets snapping options and re-creates active snap interactions
+     * Options: enabled, pixelTolerance, vertex, edge, targets (SNAP_TARGETS values)
+     */
+    setSnapOptions(map, options = {}) {
+        this.snapOptions = { ...this.snapOptions, ...options };
+        this.refreshSnapping(map);
+    }
+
+    /**
+     * Registers the layer used for a snap target, or removes it when layer is null
+     */
+    setSnapLayer(map, target, layer) {
+        if (layer) {
+            this.snapLayers[target] = layer;
+        } else {
+            delete this.snapLayers[target];
+        }
+        this.refreshSnapping(map);
+    }
+
+    /**
+     * Re-creates snap interactions if editing is active
+     */
+    refreshSnapping(map) {
+        if (map && this.modifyInteraction) {
+            this.startSnapping(map);
+        }
+    }
+
+    /**
+     * Starts selecting individual drawn features, keeping them editable
+     */
+    startSelecting(map, onDrawEnd) {
+        this.currentMode = DRAWING_MODES.SELECT;
+        this.onDrawEnd = onDrawEnd;
+
+        this.selectInteraction = new Select({
+            condition: click,
+            layers: [this.drawingLayer],
+            style: this.createSelectedStyle(),
+            hitTolerance: 5,
+        });
+
+        this.selectInteraction.on('select', () => {
+            this.notifySelectionChange();
+        });
+
+        map.addInteraction(this.selectInteraction);
+        this.startEditing(map);
+    }
+
+    /**
+     * Sets a handler that is called with the ids of the selected drawn features
+     */
+    setSelectionChangeHandler(handler) {
+        this.onSelectionChange = handler;
+    }
+
+    /**
+     * Notifies the selection change handler
+     */
+    notifySelectionChange() {
+        if (this.onSelectionChange) {
+            this.onSelectionChange(this.getSelectedFeatures().map(feature => feature.getId()));
+        }
+    }
+
+    /**
+     * Gets the selected drawn features
+     */
+    getSelectedFeatures() {
+        return this.selectInteraction ? this.selectInteraction.getFeatures().getArray().slice() : [];
+    }
+
+    /**
+     * Deletes the selected drawn features
+     * Returns the number of deleted features
+     */
+    deleteSelectedFeatures() {
+        const features = this.getSelectedFeatures();
+        if (features.length === 0) return 0;
+
+        this.selectInteraction.getFeatures().clear();
+
+        const source = this.drawingLayer.getSource();
+        this.suppressChangeEvents = true;
+        try {
+            features.forEach(feature => source.removeFeature(feature));
+        } finally {
+            this.suppressChangeEvents = false;
+        }
+
+        this.pushHistory({ type: 'remove', features });
+        this.notifyDrawingChange();
+        this.notifySelectionChange();
+        return features.length;
+    }
+
+    /**
+     * Removes features from the current selection
+     */
+    deselectFeatures(features) {
+        if (!this.selectInteraction) return;
+
+        const selected = this.selectInteraction.getFeatures();
+        const removed = features.filter(feature => selected.getArray().includes(feature));
+        removed.forEach(feature => selected.remove(feature));
+
+        if (removed.length > 0) {
+            this.notifySelectionChange();
+        }
+    }
+
+    /**
+     * Creates a Draw geometry function that builds a geodesic circle as a polygon
+     * The center is the first click and the radius is the great-circle distance in meters
+     */
+    createGeodesicCircleFunction() {
+        return (coordinates, geometry) => {
+            const [center, edge] = coordinates;
+            const radius = getDistance(center, edge);
+            this.circleSketch = { center: center.slice(), radius };
+
+            const circle = circular(center, radius, MAP_CONSTANTS.CIRCLE_SEGMENTS);
+
+            if (!geometry) {
+                return circle;
+            }
+
+            geometry.setCoordinates(circle.getCoordinates());
+            return geometry;
+        };
+    }
+
+    /**
+     * Stores the center and geodesic radius (meters) of a drawn circle on its feature
+     */
+    setCircleProperties(feature) {
+        if (!this.circleSketch) return;
+
+        feature.set('shape', DRAWING_MODES.CIRCLE);
+        feature.set('center', this.circleSketch.center);
+        feature.set('radius', this.circleSketch.radius);
+        this.circleSketch = null;
+    }
+
     /**
      * Stops all drawing interactions
      */
@@ -127,9 +657,22 @@ export class DrawingService {
             this.modifyInteraction = null;
         }
 
-        if (this.snapInteraction) {
-            map.removeInteraction(this.snapInteraction);
-            this.snapInteraction = null;
+        this.stopSnapping(map);
+
+        if (this.selectInteraction) {
+            map.removeInteraction(this.selectInteraction);
+            this.selectInteraction = null;
+            this.notifySelectionChange();
+        }
+
+        this.currentMode = DRAWING_MODES.NONE;
+        this.onDrawEnd = null;
+
+        // An unfinished sketch is discarded together with the interaction
+        if (this.sketchFeature) {
+            this.sketchFeature = null;
+            this.redoStack = this.redoStack.filter(entry => entry.type !== 'vertex');
+            this.notifyHistoryChange();
         }
     }
 
@@ -139,7 +682,430 @@ export class DrawingService {
     clearDrawing() {
         const source = this.drawingLayer.getSource();
         if (source) {
+            const features = source.getFeatures();
+            this.deselectFeatures(features);
             source.clear();
+
+            if (features.length > 0) {
+                this.pushHistory({ type: 'remove', features });
+            }
+        }
+    }
+
+    /**
+     * Sets a handler that is called whenever undo/redo availability changes
+     */
+    setHistoryChangeHandler(handler) {
+        this.onHistoryChange = handler;
+        this.notifyHistoryChange();
+    }
+
+    /**
+     * Notifies the history change handler with the current undo/redo state
+     */
+    notifyHistoryChange() {
+        if (this.onHistoryChange) {
+            this.onHistoryChange({
+                canUndo: this.canUndo(),
+                canRedo: this.canRedo(),
+            });
+        }
+    }
+
+    /**
+     * Records a completed edit and discards the redo branch
+     */
+    pushHistory(entry) {
+        this.undoStack.push(entry);
+        this.redoStack = [];
+        this.notifyHistoryChange();
+    }
+
+    /**
+     * Checks if there is a vertex or an edit to undo
+     */
+    canUndo() {
+        return this.getSketchVertexCount() > 0 || this.undoStack.length > 0;
+    }
+
+    /**
+     * Checks if there is a vertex or an edit to redo
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Undoes the last vertex of the current sketch, or the last completed edit
+     * Returns true if anything was undone
+     */
+    undo() {
+        if (this.getSketchVertexCount() > 0) {
+            const coordinate = this.getSketchLastVertex();
+            this.drawInteraction.removeLastPoint();
+            this.redoStack.push({
+                type: 'vertex',
+                coordinate,
+                vertexCount: this.getSketchVertexCount(),
+            });
+            this.notifyHistoryChange();
+            return true;
+        }
+
+        const entry = this.undoStack.pop();
+        if (!entry) return false;
+
+        this.applyHistoryEntry(entry, true);
+        this.redoStack.push(entry);
+        this.notifyHistoryChange();
+        return true;
+    }
+
+    /**
+     * Redoes the last undone vertex or edit
+     * Returns true if anything was redone
+     */
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return false;
+
+        if (entry.type === 'vertex') {
+            // The sketch changed since the vertex was undone, so it can't be restored
+            if (!this.drawInteraction || this.getSketchVertexCount() !== entry.vertexCount) {
+                this.redoStack = [];
+                this.notifyHistoryChange();
+                return false;
+            }
+
+            this.isReplaying = true;
+            try {
+                this.drawInteraction.appendCoordinates([entry.coordinate]);
+            } finally {
+                this.isReplaying = false;
+            }
+            this.notifyHistoryChange();
+            return true;
+        }
+
+        this.applyHistoryEntry(entry, false);
+        this.undoStack.push(entry);
+        this.notifyHistoryChange();
+        return true;
+    }
+
+    /**
+     * Applies a history entry to the drawing layer in either direction
+     */
+    applyHistoryEntry(entry, reverse) {
+        this.suppressChangeEvents = true;
+        try {
+            this.applyHistoryChanges(entry, reverse);
+        } finally {
+            this.suppressChangeEvents = false;
+        }
+        this.notifyDrawingChange();
+    }
+
+    /**
+     * Adds, removes or re-shapes the features recorded in a history entry
+     */
+    applyHistoryChanges(entry, reverse) {
+        const source = this.drawingLayer.getSource();
+
+        switch (entry.type) {
+            case 'add':
+            case 'remove': {
+                const shouldAdd = (entry.type === 'add') !== reverse;
+                entry.features.forEach((feature) => {
+                    const exists = source.hasFeature(feature);
+                    if (shouldAdd && !exists) {
+                        source.addFeature(feature);
+                        this.validateFeature(feature);
+                    } else if (!shouldAdd && exists) {
+                        this.deselectFeatures([feature]);
+                        source.removeFeature(feature);
+                    }
+                });
+                break;
+            }
+
+            case 'modify':
+                entry.changes.forEach(({ feature, before, after }) => {
+                    const geometry = reverse ? before : after;
+                    feature.setGeometry(geometry ? geometry.clone() : undefined);
+                    this.validateFeature(feature);
+                });
+                break;
+
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Counts the vertices the user has placed in the current sketch
+     */
+    getSketchVertexCount() {
+        if (!this.drawInteraction || !this.sketchFeature) return 0;
+
+        // Shapes and freehand sketches are not built vertex by vertex
+        if (![DRAWING_MODES.POLYGON, DRAWING_MODES.LINE].includes(this.currentMode)) return 0;
+
+        const geometry = this.sketchFeature.getGeometry();
+        switch (geometry?.getType()) {
+            case 'LineString':
+                // The last coordinate follows the cursor
+                return Math.max(geometry.getCoordinates().length - 1, 0);
+            case 'Polygon':
+                // The ring ends with the cursor coordinate and the closing coordinate
+                return Math.max((geometry.getCoordinates()[0]?.length || 0) - 2, 0);
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * Gets the last vertex the user placed in the current sketch
+     */
+    getSketchLastVertex() {
+        const geometry = this.sketchFeature.getGeometry();
+        const coordinates = geometry.getType() === 'Polygon'
+            ? geometry.getCoordinates()[0].slice(0, -1)
+            : geometry.getCoordinates();
+
+        return coordinates[coordinates.length - 2].slice();
+    }
+
+    /**
+     * Checks if two geometries have identical coordinates
+     */
+    geometriesEqual(first, second) {
+        if (!first || !second) return first === second;
+
+        return first.getType() === second.getType()
+            && JSON.stringify(first.getCoordinates()) === JSON.stringify(second.getCoordinates());
+    }
+
+    /**
+     * Sets a handler that receives the full drawing layer contents on every change
+     */
+    setDrawingChangeHandler(handler) {
+        this.onDrawingChange = handler;
+    }
+
+    /**
+     * Reports the full drawing layer contents to the change handler
+     */
+    notifyDrawingChange() {
+        if (!this.onDrawingChange) return;
+
+        const features = this.drawingLayer.getSource().getFeatures();
+        this.onDrawingChange({
+            wkt: this.getAllFeaturesAsWKT(),
+            geojson: this.getAllFeaturesAsGeoJSON(),
+            featureIds: features.map(feature => feature.getId()),
+            buffers: features
+                .map(feature => ({ feature, buffered: this.getBufferedGeometry(feature) }))
+                .filter(({ buffered }) => buffered)
+                .map(({ feature, buffered }) => ({
+                    id: feature.getId(),
+                    bufferMeters: feature.get('bufferMeters'),
+                    wkt: this.geometryToWKT(buffered),
+                })),
+            invalidFeatures: features
+                .map(feature => ({ id: feature.getId(), result: this.validationResults.get(feature) }))
+                .filter(({ result }) => result && !result.valid)
+                .map(({ id, result }) => ({ id, errors: result.errors })),
+        });
+    }
+
+    /**
+     * Gets all drawn features as a single WKT
+     * Polygons only are combined into a MULTIPOLYGON, anything else into a GEOMETRYCOLLECTION
+     */
+    getAllFeaturesAsWKT() {
+        const geometries = this.drawingLayer.getSource().getFeatures()
+            .map(feature => feature.getGeometry())
+            .filter(Boolean);
+
+        if (geometries.length === 0) return null;
+
+        const allPolygons = geometries.every(geometry => ['Polygon', 'MultiPolygon'].includes(geometry.getType()));
+        if (allPolygons) {
+            const multiPolygon = new MultiPolygon([]);
+            geometries.forEach((geometry) => {
+                const polygons = geometry.getType() === 'Polygon' ? [geometry] : geometry.getPolygons();
+                polygons.forEach(polygon => multiPolygon.appendPolygon(polygon));
+            });
+            return this.geometryToWKT(multiPolygon);
+        }
+
+        return this.geometryToWKT(new GeometryCollection(geometries.map(geometry => geometry.clone())));
+    }
+
+    /**
+     * Gets all drawn features as a GeoJSON FeatureCollection, keeping their ids
+     */
+    getAllFeaturesAsGeoJSON() {
+        return this.geoJsonFormat.writeFeaturesObject(this.drawingLayer.getSource().getFeatures(), {
+            dataProjection: 'EPSG:4326',
+            featureProjection: 'EPSG:4326',
+        });
+    }
+
+    /**
+     * Gets the output of the most recently drawn feature, or null if the layer is empty
+     */
+    getCurrentOutput() {
+        const features = this.drawingLayer.getSource().getFeatures();
+        const feature = features[features.length - 1];
+
+        return feature?.getGeometry() ? this.getFeatureOutput(feature) : null;
+    }
+
+    /**
+     * Gets what onPolygonDraw reports for a feature:
+     * its WKT when valid, or a structured validation result instead of bad WKT
+     */
+    getFeatureOutput(feature) {
+        const result = this.validateFeature(feature);
+        if (result.valid) {
+            const wkt = this.geometryToWKT(feature.getGeometry());
+            const buffered = this.getBufferedGeometry(feature);
+
+            // Buffered points and lines report their buffer polygon alongside the original geometry
+            return buffered
+                ? { wkt, bufferedWkt: this.geometryToWKT(buffered), bufferMeters: feature.get('bufferMeters') }
+                : wkt;
+        }
+
+        return {
+            valid: false,
+            featureId: feature.getId(),
+            errors: result.errors,
+        };
+    }
+
+    /**
+     * Validates a drawn feature and updates its warning style
+     */
+    validateFeature(feature) {
+        const result = this.validator.validate(feature.getGeometry());
+        const previous = this.validationResults.get(feature);
+
+        this.validationResults.set(feature, result);
+        if (!result.valid || (previous && !previous.valid)) {
+            this.drawingLayer.changed();
+        }
+
+        return result;
+    }
+
+    /**
+     * Sets validation rules and re-validates all drawn features
+     */
+    setValidationOptions(options) {
+        this.validator.setOptions(options || {});
+        this.drawingLayer.getSource().getFeatures().forEach(feature => this.validateFeature(feature));
+        this.drawingLayer.changed();
+    }
+
+    /**
+     * Loads an existing geometry into the drawing layer, replacing its contents
+     * Accepts WKT, or GeoJSON as a string or object (geometry, Feature or FeatureCollection).
+     * Collections and multi-polygons are split into separate features, mirroring getAllFeaturesAsWKT.
+     * When a map is given, the view is fitted to the geometry and editing is enabled.
+     */
+    loadGeometry(wktOrGeoJson, map) {
+        const features = this.parseGeometryInput(wktOrGeoJson);
+        const source = this.drawingLayer.getSource();
+
+        // The replaced features must not stay selected
+        const hadSelection = this.getSelectedFeatures().length > 0;
+        if (hadSelection) {
+            this.selectInteraction.getFeatures().clear();
+        }
+
+        this.suppressChangeEvents = true;
+        try {
+            source.clear();
+            source.addFeatures(features);
+        } finally {
+            this.suppressChangeEvents = false;
+        }
+        features.forEach(feature => this.validateFeature(feature));
+
+        // The loaded geometry is the starting point, not an undoable edit
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notifyHistoryChange();
+        this.notifyDrawingChange();
+        if (hadSelection) {
+            this.notifySelectionChange();
+        }
+
+        if (map) {
+            this.startEditing(map);
+            this.fitToDrawing(map);
+        }
+
+        return features;
+    }
+
+    /**
+     * Parses WKT or GeoJSON input into drawing features
+     */
+    parseGeometryInput(wktOrGeoJson) {
+        if (!wktOrGeoJson) return [];
+
+        const readOptions = {
+            dataProjection: 'EPSG:4326',
+            featureProjection: 'EPSG:4326',
+        };
+
+        let features;
+        if (typeof wktOrGeoJson === 'object') {
+            features = this.geoJsonFormat.readFeatures(wktOrGeoJson, readOptions);
+        } else if (wktOrGeoJson.trim().startsWith('{')) {
+            features = this.geoJsonFormat.readFeatures(JSON.parse(wktOrGeoJson), readOptions);
+        } else {
+            features = this.wktFormat.readFeatures(wktOrGeoJson, readOptions);
+        }
+
+        return features.flatMap((feature) => {
+            const geometry = feature.getGeometry();
+            let parts;
+            switch (geometry?.getType()) {
+                case 'GeometryCollection':
+                    parts = geometry.getGeometries();
+                    break;
+                case 'MultiPolygon':
+                    parts = geometry.getPolygons();
+                    break;
+                default:
+                    return [feature];
+            }
+
+            return parts.map((part) => {
+                const partFeature = feature.clone();
+                partFeature.setId(undefined);
+                partFeature.setGeometry(part);
+                return partFeature;
+            });
+        });
+    }
+
+    /**
+     * Fits map view to the drawn features
+     */
+    fitToDrawing(map) {
+        const extent = this.drawingLayer.getSource().getExtent();
+        if (extent && extent.every(coord => isFinite(coord))) {
+            map.getView().fit(extent, {
+                duration: MAP_CONSTANTS.ANIMATION_DURATION,
+                padding: [50, 50, 50, 50],
+                maxZoom: 16,
+            });
         }
     }
 
@@ -0,0 +1,184 @@
+// src/services/geometry-validation.service.js
+
+import { LineString, Point } from 'ol/geom';
+import { Style, Fill, Stroke, Circle } from 'ol/style';
+import { getArea } from 'ol/sphere';
+import { containsExtent } from 'ol/extent';
+import { GeometryUtils } from '../utils/geometry.utils.js';
+import { DEFAULT_VALIDATION, DEFAULT_STYLES, VALIDATION_ERRORS } from '../constants/map.constants.js';
+
+export class GeometryValidationService {
+    constructor(options = {}) {
+        this.setOptions(options);
+    }
+
+    /**
+     * Sets validation rules, falling back to the defaults for anything not given
+     * Options: minPolygonVertices, minLineVertices, minArea, maxArea (square meters), extent
+     */
+    setOptions(options = {}) {
+        this.options = {
+            minPolygonVertices: options.minPolygonVertices ?? DEFAULT_VALIDATION.MIN_POLYGON_VERTICES,
+            minLineVertices: options.minLineVertices ?? DEFAULT_VALIDATION.MIN_LINE_VERTICES,
+            minArea: options.minArea ?? DEFAULT_VALIDATION.MIN_AREA,
+            maxArea: options.maxArea ?? DEFAULT_VALIDATION.MAX_AREA,
+            extent: options.extent ?? DEFAULT_VALIDATION.EXTENT,
+        };
+    }
+
+    /**
+     * Validates a geometry against the configured rules
+     * Returns { valid, errors } where each error has a code, a message and optional segments/point
+     */
+    validate(geometry) {
+        const errors = [];
+        if (!geometry) {
+            return { valid: false, errors: [{ code: VALIDATION_ERRORS.TOO_FEW_VERTICES, message: 'Geometry is empty' }] };
+        }
+
+        switch (geometry.getType()) {
+            case 'Polygon':
+                errors.push(...this.validatePolygon(geometry));
+                break;
+            case 'MultiPolygon':
+                geometry.getPolygons().forEach(polygon => errors.push(...this.validatePolygon(polygon)));
+                break;
+            case 'LineString':
+                errors.push(...this.validateLine(geometry));
+                break;
+            default:
+                break;
+        }
+
+        const { extent } = this.options;
+        if (extent && !containsExtent(extent, geometry.getExtent())) {
+            errors.push({
+                code: VALIDATION_ERRORS.OUTSIDE_EXTENT,
+                message: 'Geometry extends outside the allowed area',
+            });
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Validates vertex count, self-intersection and area of a polygon
+     */
+    validatePolygon(polygon) {
+        const errors = [];
+        const rings = polygon.getCoordinates();
+
+        rings.forEach((ring, ringIndex) => {
+            const vertexCount = GeometryUtils.countRingVertices(ring);
+            if (vertexCount < this.options.minPolygonVertices) {
+                errors.push({
+                    code: VALIDATION_ERRORS.TOO_FEW_VERTICES,
+                    message: `Polygon ring has ${vertexCount} vertices, at least ${this.options.minPolygonVertices} are required`,
+                    ringIndex,
+                });
+                return;
+            }
+
+            GeometryUtils.findRingSelfIntersections(ring).forEach(({ segments, point }) => {
+                errors.push({
+                    code: VALIDATION_ERRORS.SELF_INTERSECTION,
+                    message: 'Polygon edges cross each other',
+                    ringIndex,
+                    segments,
+                    point,
+                });
+            });
+        });
+
+        // Area is meaningless for degenerate rings
+        if (errors.length > 0) return errors;
+
+        const area = getArea(polygon, { projection: 'EPSG:4326' });
+        const { minArea, maxArea } = this.options;
+
+        if (minArea !== null && area < minArea) {
+            errors.push({
+                code: VALIDATION_ERRORS.AREA_TOO_SMALL,
+                message: `Polygon area ${Math.round(area)} m² is below the minimum of ${minArea} m²`,
+                area,
+            });
+        }
+
+        if (maxArea !== null && area > maxArea) {
+            errors.push({
+                code: VALIDATION_ERRORS.AREA_TOO_LARGE,
+                message: `Polygon area ${Math.round(area)} m² exceeds the maximum of ${maxArea} m²`,
+                area,
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validates vertex count of a line
+     */
+    validateLine(line) {
+        const uniqueVertices = new Set(line.getCoordinates().map(coord => `${coord[0]},${coord[1]}`));
+        if (uniqueVertices.size >= this.options.minLineVertices) return [];
+
+        return [{
+            code: VALIDATION_ERRORS.TOO_FEW_VERTICES,
+            message: `Line has ${uniqueVertices.size} vertices, at least ${this.options.minLineVertices} are required`,
+        }];
+    }
+
+    /**
+     * Creates warning style for an invalid geometry, marking offending segments and crossings
+     */
+    createWarningStyle(result) {
+        const styles = [
+            new Style({
+                fill: new Fill({
+                    color: 'rgba(249, 115, 22, 0.25)',
+                }),
+                stroke: new Stroke({
+                    color: DEFAULT_STYLES.WARNING_COLOR,
+                    width: 2,
+                    lineDash: [6, 6],
+                }),
+                image: new Circle({
+                    radius: 6,
+                    stroke: new Stroke({
+                        color: DEFAULT_STYLES.WARNING_COLOR,
+                        width: 2,
+                    }),
+                    fill: new Fill({
+                        color: 'rgba(249, 115, 22, 0.25)',
+                    }),
+                }),
+            }),
+        ];
+
+        result.errors
+            .filter(error => error.segments)
+            .forEach((error) => {
+                error.segments.forEach((segment) => {
+                    styles.push(new Style({
+                        geometry: new LineString(segment),
+                        stroke: new Stroke({
+                            color: DEFAULT_STYLES.ERROR_COLOR,
+                            width: 4,
+                        }),
+                    }));
+                });
+
+                styles.push(new Style({
+                    geometry: new Point(error.point),
+                    image: new Circle({
+                        radius: 5,
+                        fill: new Fill({
+                            color: DEFAULT_STYLES.ERROR_COLOR,
+                        }),
+                    }),
+                }));
+            });
+
+        return styles;
+    }
+}
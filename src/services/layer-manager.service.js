@@ -1,35 +1,789 @@
 // src/services/layer-manager.service.js
 
-import { Vector as VectorLayer } from 'ol/layer';
-import { Vector as VectorSource } from 'ol/source';
+import { Feature } from 'ol';
+import { Vector as VectorLayer, Heatmap as HeatmapLayer } from 'ol/layer';
+import { Point, Polygon } from 'ol/geom';
+import { fromExtent } from 'ol/geom/Polygon';
+import { Vector as VectorSource, Cluster } from 'ol/source';
 import { GeoJSON } from 'ol/format';
-import { Style, Fill, Stroke, Circle } from 'ol/style';
-import { DEFAULT_STYLES } from '../constants/map.constants.js';
+import { Style, Fill, Stroke, Circle, Text, Icon } from 'ol/style';
+import { createEmpty, extend, getCenter } from 'ol/extent';
+import { unByKey } from 'ol/Observable';
+import { getUid } from 'ol/util';
+import { getRenderPixel } from 'ol/render';
+import { apply as applyTransform } from 'ol/transform';
+import {
+    AGGREGATION_TYPES,
+    CLUSTER_COLOR_MODES,
+    DEFAULT_AGGREGATION,
+    DEFAULT_CLUSTERING,
+    DEFAULT_LABELS,
+    DEFAULT_STYLES,
+    MAP_CONSTANTS,
+} from '../constants/map.constants.js';
+import { ColorUtils } from '../utils/color.utils.js';
+import { ExpressionUtils } from '../utils/expression.utils.js';
 
 export class LayerManager {
     constructor() {
         this.geoJsonFormat = new GeoJSON();
+        this.pieIconCache = new Map();
     }
 
     /**
      * Creates vector layer from GeoJSON data
+     * Pass options.cluster (true or { distance, minDistance, colorMode }) to cluster features.
      */
-    createVectorLayer(geoJsonData, layerName, styleFunction) {
+    createVectorLayer(geoJsonData, layerName, styleFunction, options = {}) {
         const vectorSource = new VectorSource({
             features: this.geoJsonFormat.readFeatures(geoJsonData, {
                 featureProjection: 'EPSG:4326',
             }),
         });
 
+        if (options.cluster) {
+            return this.createClusterLayer(vectorSource, layerName, styleFunction, options.cluster);
+        }
+
         const vectorLayer = new VectorLayer({
             source: vectorSource,
-            style: (feature) => this.createFeatureStyle(feature, styleFunction),
+            style: (feature) => this.isFeatureVisible(vectorLayer, feature)
+                ? this.createFeatureStyle(feature, styleFunction)
+                : null,
+        });
+
+        vectorLayer.set('name', layerName);
+        vectorLayer.set('styleFunction', styleFunction);
+        return vectorLayer;
+    }
+
+    /**
+     * Creates clustered vector layer
+     * Single-feature clusters are drawn with the feature's own geometry and style.
+     */
+    createClusterLayer(vectorSource, layerName, styleFunction, clusterOptions) {
+        const options = clusterOptions === true ? {} : clusterOptions;
+        const colorMode = options.colorMode ?? DEFAULT_CLUSTERING.COLOR_MODE;
+
+        // Filtered out features are left out of the clusters, so counts only cover shown features
+        const clusterSource = new Cluster({
+            source: vectorSource,
+            distance: options.distance ?? DEFAULT_CLUSTERING.DISTANCE,
+            minDistance: options.minDistance ?? DEFAULT_CLUSTERING.MIN_DISTANCE,
+            geometryFunction: (feature) => this.isFeatureVisible(vectorLayer, feature)
+                ? this.getClusterPoint(feature)
+                : null,
+        });
+
+        const vectorLayer = new VectorLayer({
+            source: clusterSource,
+            style: (cluster) => this.createClusterStyle(cluster, styleFunction, colorMode),
         });
 
         vectorLayer.set('name', layerName);
+        vectorLayer.set('styleFunction', styleFunction);
         return vectorLayer;
     }
 
+    /**
+     * Updates the features of a layer in place from new GeoJSON, matching features by idColumn
+     * Unchanged features are left alone and changed ones keep their identity, so selections,
+     * highlights and the view survive. Features without an id are always replaced.
+     */
+    updateLayerFeatures(layer, geoJsonData, idColumn) {
+        const source = this.getFeatureSource(layer);
+        const previousGeoJson = source.get('geoJsonFeatures') || new Map();
+        const nextGeoJson = new Map();
+
+        const existing = new Map();
+        const removed = [];
+        source.getFeatures().forEach((feature) => {
+            const key = this.getFeatureKey(feature, idColumn);
+            if (existing.has(key)) {
+                removed.push(feature);
+            } else {
+                existing.set(key, feature);
+            }
+        });
+
+        const added = [];
+        const updated = [];
+        (geoJsonData?.features || []).forEach((geoJsonFeature) => {
+            const key = geoJsonFeature.properties?.[idColumn] ?? geoJsonFeature.id;
+            const feature = key === undefined || key === null || nextGeoJson.has(key) ? null : existing.get(key);
+
+            if (key !== undefined && key !== null && !nextGeoJson.has(key)) {
+                nextGeoJson.set(key, geoJsonFeature);
+            }
+
+            if (!feature) {
+                added.push(this.geoJsonFormat.readFeature(geoJsonFeature, { featureProjection: 'EPSG:4326' }));
+                return;
+            }
+
+            existing.delete(key);
+            if (!this.isSameGeoJsonFeature(previousGeoJson.get(key), geoJsonFeature)) {
+                updated.push([feature, geoJsonFeature]);
+            }
+        });
+        removed.push(...existing.values());
+
+        // Changed features are taken out while they change so the source fires one change event, not one per feature
+        source.removeFeatures([...removed, ...updated.map(([feature]) => feature)]);
+        updated.forEach(([feature, geoJsonFeature]) => {
+            const nextFeature = this.geoJsonFormat.readFeature(geoJsonFeature, { featureProjection: 'EPSG:4326' });
+            const properties = nextFeature.getProperties();
+
+            feature.getKeys()
+                .filter(key => !(key in properties))
+                .forEach(key => feature.unset(key));
+            feature.setProperties(properties);
+            feature.setId(nextFeature.getId());
+        });
+        source.addFeatures([...updated.map(([feature]) => feature), ...added]);
+        source.set('geoJsonFeatures', nextGeoJson, true);
+
+        // New features may already be selected or queried by id, and changed ones may now be filtered out
+        if ((added.length > 0 || updated.length > 0) && layer.get('highlightState')) {
+            this.applyHighlights(layer, idColumn);
+        }
+
+        return { added, updated: updated.map(([feature]) => feature), removed };
+    }
+
+    /**
+     * Checks if two GeoJSON features have the same geometry and properties
+     */
+    isSameGeoJsonFeature(previous, next) {
+        if (previous === next) return true;
+        if (!previous || previous.id !== next.id) return false;
+
+        const previousProperties = previous.properties || {};
+        const nextProperties = next.properties || {};
+        const keys = Object.keys(nextProperties);
+
+        return keys.length === Object.keys(previousProperties).length
+            && keys.every(key => previousProperties[key] === nextProperties[key]
+                || JSON.stringify(previousProperties[key]) === JSON.stringify(nextProperties[key]))
+            && JSON.stringify(previous.geometry) === JSON.stringify(next.geometry);
+    }
+
+    /**
+     * Sets the filters deciding which features of a layer are shown, replacing previous filters
+     * Each filter is a predicate over feature properties or a declarative expression
+     * (see ExpressionUtils); a feature is shown when every filter passes.
+     */
+    setFeatureFilter(layer, ...filters) {
+        const predicates = filters
+            .filter(Boolean)
+            .map(filter => (typeof filter === 'function' ? filter : ExpressionUtils.toPredicate(filter)));
+
+        const featureFilter = predicates.length > 0
+            ? (properties) => predicates.every(predicate => predicate(properties))
+            : null;
+
+        layer.set('featureFilter', featureFilter);
+
+        // Highlight styles override the layer style, so they must follow the filter too
+        const highlightState = layer.get('highlightState');
+        if (highlightState) {
+            this.applyHighlights(layer, highlightState.idColumn);
+        }
+
+        if (this.isClustered(layer)) {
+            layer.getSource().refresh();
+        }
+        layer.changed();
+    }
+
+    /**
+     * Checks if a feature passes the filter of its layer
+     */
+    isFeatureVisible(layer, feature) {
+        const featureFilter = layer?.get('featureFilter');
+        if (!featureFilter) return true;
+
+        try {
+            return featureFilter(feature.getProperties());
+        } catch (error) {
+            console.warn('Error in feature filter:', error);
+            return true;
+        }
+    }
+
+    /**
+     * Gets the features of a layer that pass its filter
+     */
+    getVisibleFeatures(layer) {
+        const source = this.getFeatureSource(layer);
+        if (!source) return [];
+
+        return source.getFeatures().filter(feature => this.isFeatureVisible(layer, feature));
+    }
+
+    /**
+     * Gets the source holding the actual features of a layer, unwrapping clusters
+     */
+    getFeatureSource(layer) {
+        const source = layer?.getSource();
+        return source instanceof Cluster ? source.getSource() : source;
+    }
+
+    /**
+     * Checks if a layer is clustered
+     */
+    isClustered(layer) {
+        return layer?.getSource() instanceof Cluster;
+    }
+
+    /**
+     * Unwraps a single-feature cluster to its feature; other features are returned as they are
+     */
+    unwrapClusterFeature(feature) {
+        const members = feature.get('features');
+        return Array.isArray(members) && members.length === 1 ? members[0] : feature;
+    }
+
+    /**
+     * Gets the attributes of a feature without its geometry
+     */
+    getFeatureAttributes(feature) {
+        const attributes = { ...feature.getProperties() };
+        delete attributes[feature.getGeometryName()];
+        return attributes;
+    }
+
+    /**
+     * Gets the point a feature is clustered by
+     */
+    getClusterPoint(feature) {
+        const geometry = feature.getGeometry();
+        switch (geometry?.getType()) {
+            case 'Point':
+                return geometry;
+            case 'Polygon':
+                return geometry.getInteriorPoint();
+            case 'MultiPolygon':
+                return geometry.getInteriorPoints().getPoint(0);
+            case 'LineString':
+                return new Point(geometry.getCoordinateAt(0.5));
+            case undefined:
+                return null;
+            default:
+                return new Point(getCenter(geometry.getExtent()));
+        }
+    }
+
+    /**
+     * Creates style for a cluster feature
+     */
+    createClusterStyle(cluster, styleFunction, colorMode) {
+        const members = cluster.get('features');
+
+        if (members.length === 1) {
+            const member = members[0];
+            const memberStyle = member.getStyle() || this.createFeatureStyle(member, styleFunction);
+            // Draw the member's own geometry instead of the cluster point
+            const styles = Array.isArray(memberStyle) ? memberStyle : [memberStyle];
+            return styles.map((style) => {
+                const clone = style.clone();
+                clone.setGeometry(member.getGeometry());
+                return clone;
+            });
+        }
+
+        const colors = members.map(member => this.getFeatureColor(member, styleFunction));
+        const isHighlighted = members.some(member => member.getStyle());
+        const radius = Math.min(12 + Math.log2(members.length) * 3, 30);
+
+        const image = colorMode === CLUSTER_COLOR_MODES.PIE
+            ? this.createPieIcon(colors, radius, isHighlighted)
+            : new Circle({
+                radius,
+                fill: new Fill({
+                    color: this.hexToRgba(this.getMajorityColor(colors), 0.8),
+                }),
+                stroke: new Stroke({
+                    color: isHighlighted ? DEFAULT_STYLES.SELECTED_STROKE_COLOR : '#ffffff',
+                    width: isHighlighted ? 4 : 2,
+                }),
+            });
+
+        return new Style({
+            image,
+            text: new Text({
+                text: members.length.toString(),
+                font: 'bold 12px sans-serif',
+                fill: new Fill({ color: '#ffffff' }),
+                stroke: new Stroke({ color: 'rgba(0, 0, 0, 0.6)', width: 3 }),
+            }),
+        });
+    }
+
+    /**
+     * Gets the fill color the style function assigns to a feature
+     */
+    getFeatureColor(feature, styleFunction) {
+        if (!styleFunction) return DEFAULT_STYLES.FILL_COLOR;
+        return styleFunction(feature, DEFAULT_STYLES.FILL_COLOR)?.fillColor || DEFAULT_STYLES.FILL_COLOR;
+    }
+
+    /**
+     * Gets the most frequent color
+     */
+    getMajorityColor(colors) {
+        const counts = new Map();
+        colors.forEach(color => counts.set(color, (counts.get(color) || 0) + 1));
+
+        return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+    }
+
+    /**
+     * Creates a pie chart icon showing the share of each color in a cluster
+     */
+    createPieIcon(colors, radius, isHighlighted) {
+        const counts = new Map();
+        colors.forEach(color => counts.set(color, (counts.get(color) || 0) + 1));
+        const slices = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+
+        const key = `${Math.round(radius)}|${isHighlighted}|${slices.map(([color, count]) => `${color}:${count}`).join(',')}`;
+        if (this.pieIconCache.has(key)) {
+            return this.pieIconCache.get(key);
+        }
+
+        const borderWidth = isHighlighted ? 4 : 2;
+        const size = Math.ceil((radius + borderWidth) * 2);
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+
+        const context = canvas.getContext('2d');
+        const center = size / 2;
+        let startAngle = -Math.PI / 2;
+
+        slices.forEach(([color, count]) => {
+            const endAngle = startAngle + (count / colors.length) * Math.PI * 2;
+            context.beginPath();
+            context.moveTo(center, center);
+            context.arc(center, center, radius, startAngle, endAngle);
+            context.closePath();
+            context.fillStyle = this.hexToRgba(color, 0.85);
+            context.fill();
+            startAngle = endAngle;
+        });
+
+        context.beginPath();
+        context.arc(center, center, radius, 0, Math.PI * 2);
+        context.lineWidth = borderWidth;
+        context.strokeStyle = isHighlighted ? DEFAULT_STYLES.SELECTED_STROKE_COLOR : '#ffffff';
+        context.stroke();
+
+        const icon = new Icon({
+            img: canvas,
+            width: size,
+            height: size,
+        });
+        this.pieIconCache.set(key, icon);
+        return icon;
+    }
+
+    /**
+     * Gets the extent covering all features of a cluster
+     */
+    getClusterExtent(cluster) {
+        const extent = createEmpty();
+        cluster.get('features').forEach((feature) => {
+            const geometry = feature.getGeometry();
+            if (geometry) {
+                extend(extent, geometry.getExtent());
+            }
+        });
+        return extent;
+    }
+
+    /**
+     * Gets the zoom at which a feature leaves its cluster, or null if it isn't clustered
+     * Features at identical positions can't be separated and return the maximum zoom.
+     */
+    getRevealZoom(map, layer, feature) {
+        if (!this.isClustered(layer)) return null;
+
+        const view = map.getView();
+        const clusterSource = layer.getSource();
+        const distance = clusterSource.getDistance();
+        const point = this.getClusterPoint(feature)?.getCoordinates();
+        if (!point) return null;
+
+        // Cluster checks a square of distance * resolution around each feature
+        const searchRadius = distance * view.getResolution();
+        let nearest = Infinity;
+        clusterSource.getSource().forEachFeatureInExtent(
+            [point[0] - searchRadius, point[1] - searchRadius, point[0] + searchRadius, point[1] + searchRadius],
+            (other) => {
+                if (other === feature) return;
+                const otherPoint = this.getClusterPoint(other)?.getCoordinates();
+                if (!otherPoint) return;
+                nearest = Math.min(nearest, Math.max(Math.abs(otherPoint[0] - point[0]), Math.abs(otherPoint[1] - point[1])));
+            }
+        );
+
+        if (nearest === Infinity) return null;
+        if (nearest === 0) return view.getMaxZoom();
+
+        const zoom = view.getZoomForResolution((nearest / distance) * 0.9);
+        return Math.min(Math.ceil(zoom), view.getMaxZoom());
+    }
+
+    /**
+     * Creates a decluttered text layer labeling the features of an existing layer
+     * labelOptions: { property | template ('{name} ({id})'), minZoom, maxZoom, font, color, haloColor, haloWidth }
+     */
+    createLabelLayer(featureLayer, labelOptions) {
+        const options = {
+            font: DEFAULT_LABELS.FONT,
+            color: DEFAULT_LABELS.COLOR,
+            haloColor: DEFAULT_LABELS.HALO_COLOR,
+            haloWidth: DEFAULT_LABELS.HALO_WIDTH,
+            minZoom: DEFAULT_LABELS.MIN_ZOOM,
+            maxZoom: DEFAULT_LABELS.MAX_ZOOM,
+            ...labelOptions,
+        };
+
+        const labelLayer = new VectorLayer({
+            source: featureLayer.getSource(),
+            declutter: true,
+            minZoom: options.minZoom,
+            maxZoom: options.maxZoom,
+            visible: featureLayer.getVisible(),
+            zIndex: featureLayer.getZIndex(),
+            style: (feature) => this.isFeatureVisible(featureLayer, this.unwrapClusterFeature(feature))
+                ? this.createLabelStyle(feature, options)
+                : null,
+        });
+
+        labelLayer.set('name', `${featureLayer.get('name')}-labels`);
+        labelLayer.set('excludeFromSelection', true);
+        labelLayer.set('excludeFromLegend', true);
+
+        // Labels follow their layer when it is hidden, e.g. by the heatmap or hexbin views, or filtered
+        labelLayer.set('listenerKeys', [
+            featureLayer.on('change:visible', () => labelLayer.setVisible(featureLayer.getVisible())),
+            featureLayer.on('change:featureFilter', () => labelLayer.changed()),
+        ]);
+        return labelLayer;
+    }
+
+    /**
+     * Detaches a label, heatmap or hexbin layer from the layer it was created for
+     */
+    disposeDerivedLayer(derivedLayer) {
+        unByKey(derivedLayer.get('listenerKeys') || []);
+    }
+
+    /**
+     * Gets the label text of a feature from a property or a {property} template
+     */
+    getLabelText(feature, options) {
+        if (options.template) {
+            return options.template
+                .replace(/\{([^}]+)\}/g, (_, key) => feature.get(key.trim()) ?? '')
+                .trim();
+        }
+
+        const value = feature.get(options.property);
+        return value === undefined || value === null ? '' : String(value).trim();
+    }
+
+    /**
+     * Checks if text contains right-to-left (Hebrew or Arabic) characters
+     */
+    isRtlText(text) {
+        return /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFC]/.test(text);
+    }
+
+    /**
+     * Creates the text style of a feature label
+     * Cluster features are labeled only when they hold a single feature.
+     */
+    createLabelStyle(feature, options) {
+        const members = feature.get('features');
+        if (Array.isArray(members)) {
+            if (members.length !== 1) return null;
+            feature = members[0];
+        }
+
+        const text = this.getLabelText(feature, options);
+        const geometry = feature.getGeometry();
+        if (!text || !geometry) return null;
+
+        const isRtl = this.isRtlText(text);
+        const geometryType = geometry.getType();
+        const textOptions = {
+            // Isolate RTL labels so mixed Hebrew, numbers and punctuation keep their order
+            text: isRtl ? `\u2067${text}\u2069` : text,
+            font: options.font,
+            fill: new Fill({ color: options.color }),
+            stroke: new Stroke({ color: options.haloColor, width: options.haloWidth }),
+            overflow: geometryType.includes('Polygon'),
+        };
+
+        if (geometryType === 'LineString' || geometryType === 'MultiLineString') {
+            // Curved line placement draws characters left to right, which reverses RTL words,
+            // so RTL labels are drawn straight along the segment at the middle of the line instead
+            if (!isRtl) {
+                return new Style({
+                    text: new Text({ ...textOptions, placement: 'line' }),
+                });
+            }
+
+            const { point, rotation } = this.getLineLabelPlacement(geometry);
+            return new Style({
+                geometry: point,
+                text: new Text({ ...textOptions, rotation, rotateWithView: true }),
+            });
+        }
+
+        if (geometryType === 'Point' || geometryType === 'MultiPoint') {
+            return new Style({
+                text: new Text({ ...textOptions, offsetY: DEFAULT_LABELS.POINT_OFFSET_Y }),
+            });
+        }
+
+        return new Style({
+            geometry: this.getClusterPoint(feature),
+            text: new Text(textOptions),
+        });
+    }
+
+    /**
+     * Gets the middle point of a line and the upright text rotation of the segment there
+     */
+    getLineLabelPlacement(geometry) {
+        const line = geometry.getType() === 'MultiLineString'
+            ? geometry.getLineStrings().sort((a, b) => b.getLength() - a.getLength())[0]
+            : geometry;
+
+        const coordinates = line.getCoordinates();
+        const halfLength = line.getLength() / 2;
+        let travelled = 0;
+        let angle = 0;
+
+        for (let i = 1; i < coordinates.length; i++) {
+            const [x1, y1] = coordinates[i - 1];
+            const [x2, y2] = coordinates[i];
+            const segmentLength = Math.hypot(x2 - x1, y2 - y1);
+            angle = Math.atan2(y2 - y1, x2 - x1);
+            travelled += segmentLength;
+            if (travelled >= halfLength) break;
+        }
+
+        // Text rotation is clockwise on screen; flip text that would render upside down
+        let rotation = -angle;
+        if (rotation > Math.PI / 2) rotation -= Math.PI;
+        if (rotation < -Math.PI / 2) rotation += Math.PI;
+
+        return {
+            point: new Point(line.getCoordinateAt(0.5)),
+            rotation,
+        };
+    }
+
+    /**
+     * Creates heatmap layer over the features of an existing layer
+     * Features are reduced to points through a zero-distance cluster, which follows source changes.
+     */
+    createHeatmapLayer(featureLayer, options = {}) {
+        const featureSource = this.getFeatureSource(featureLayer);
+        const weightProperty = options.weightProperty ?? DEFAULT_AGGREGATION.WEIGHT_PROPERTY;
+
+        const pointSource = new Cluster({
+            source: featureSource,
+            distance: 0,
+            geometryFunction: (feature) => this.isFeatureVisible(featureLayer, feature)
+                ? this.getClusterPoint(feature)
+                : null,
+        });
+
+        const heatmapLayer = new HeatmapLayer({
+            source: pointSource,
+            radius: options.radius ?? DEFAULT_AGGREGATION.HEATMAP_RADIUS,
+            blur: options.blur ?? DEFAULT_AGGREGATION.HEATMAP_BLUR,
+            weight: (cluster) => {
+                const maxWeight = this.getMaxWeight(featureSource, weightProperty);
+                if (!maxWeight) return 0;
+
+                const weight = cluster.get('features')
+                    .reduce((total, feature) => total + this.getFeatureWeight(feature, weightProperty), 0);
+                return weight / maxWeight;
+            },
+        });
+
+        heatmapLayer.set('name', `${featureLayer.get('name')}-heatmap`);
+        heatmapLayer.set('excludeFromSelection', true);
+        heatmapLayer.set('listenerKeys', [
+            featureLayer.on('change:featureFilter', () => pointSource.refresh()),
+        ]);
+        return heatmapLayer;
+    }
+
+    /**
+     * Gets the weight of a feature from a numeric property, or 1 when no property is set
+     */
+    getFeatureWeight(feature, weightProperty) {
+        if (!weightProperty) return 1;
+
+        const value = Number(feature.get(weightProperty));
+        return Number.isFinite(value) && value > 0 ? value : 0;
+    }
+
+    /**
+     * Gets the largest feature weight in a source, cached per source revision
+     */
+    getMaxWeight(source, weightProperty) {
+        const cached = source.get('maxWeight');
+        if (cached && cached.revision === source.getRevision() && cached.property === weightProperty) {
+            return cached.value;
+        }
+
+        const value = source.getFeatures()
+            .reduce((max, feature) => Math.max(max, this.getFeatureWeight(feature, weightProperty)), 0);
+        source.set('maxWeight', { revision: source.getRevision(), property: weightProperty, value }, true);
+        return value;
+    }
+
+    /**
+     * Creates hexagonal bin layer over the features of an existing layer
+     * Cells are built by updateHexbins for the current resolution.
+     */
+    createHexbinLayer(featureLayer, options = {}) {
+        const weightProperty = options.weightProperty ?? DEFAULT_AGGREGATION.WEIGHT_PROPERTY;
+
+        const hexbinLayer = new VectorLayer({
+            source: new VectorSource(),
+            style: (cell) => this.createHexbinStyle(cell, hexbinLayer.get('hexbinState')?.maxValue),
+        });
+
+        hexbinLayer.set('name', `${featureLayer.get('name')}-hexbin`);
+        hexbinLayer.set('title', featureLayer.get('title'));
+        hexbinLayer.set('excludeFromSelection', true);
+        hexbinLayer.set('hexbinOptions', {
+            featureLayer,
+            featureSource: this.getFeatureSource(featureLayer),
+            weightProperty,
+            aggregation: options.aggregation ?? (weightProperty ? AGGREGATION_TYPES.SUM : AGGREGATION_TYPES.COUNT),
+            size: options.size ?? DEFAULT_AGGREGATION.HEXBIN_SIZE,
+        });
+        return hexbinLayer;
+    }
+
+    /**
+     * Rebuilds hexagon cells for a resolution, skipping the work when nothing changed
+     */
+    updateHexbins(hexbinLayer, resolution) {
+        const { featureLayer, featureSource, weightProperty, aggregation, size } = hexbinLayer.get('hexbinOptions');
+        const featureFilter = featureLayer.get('featureFilter');
+        const state = hexbinLayer.get('hexbinState');
+        if (state
+            && state.resolution === resolution
+            && state.revision === featureSource.getRevision()
+            && state.featureFilter === featureFilter) {
+            return;
+        }
+
+        const radius = size * resolution;
+        const cells = new Map();
+
+        featureSource.forEachFeature((feature) => {
+            if (!this.isFeatureVisible(featureLayer, feature)) return;
+
+            const point = this.getClusterPoint(feature)?.getCoordinates();
+            if (!point) return;
+
+            const [q, r] = this.getHexCell(point, radius);
+            const key = `${q},${r}`;
+            const cell = cells.get(key) || { q, r, count: 0, sum: 0 };
+            cell.count += 1;
+            cell.sum += this.getFeatureWeight(feature, weightProperty);
+            cells.set(key, cell);
+        });
+
+        let maxValue = 0;
+        const features = [...cells.values()].map((cell) => {
+            const value = aggregation === AGGREGATION_TYPES.SUM ? cell.sum : cell.count;
+            maxValue = Math.max(maxValue, value);
+
+            return new Feature({
+                geometry: this.createHexagon(cell.q, cell.r, radius),
+                count: cell.count,
+                sum: cell.sum,
+                value,
+                aggregation,
+            });
+        });
+
+        hexbinLayer.set('hexbinState', { resolution, revision: featureSource.getRevision(), featureFilter, maxValue });
+        const source = hexbinLayer.getSource();
+        source.clear(true);
+        source.addFeatures(features);
+    }
+
+    /**
+     * Gets the axial coordinates of the pointy-top hexagon containing a point
+     */
+    getHexCell([x, y], radius) {
+        const q = ((Math.sqrt(3) / 3) * x - y / 3) / radius;
+        const r = ((2 / 3) * y) / radius;
+
+        // Round cube coordinates, fixing the component with the largest rounding error
+        const s = -q - r;
+        let roundQ = Math.round(q);
+        let roundR = Math.round(r);
+        const roundS = Math.round(s);
+        const diffQ = Math.abs(roundQ - q);
+        const diffR = Math.abs(roundR - r);
+        const diffS = Math.abs(roundS - s);
+
+        if (diffQ > diffR && diffQ > diffS) {
+            roundQ = -roundR - roundS;
+        } else if (diffR > diffS) {
+            roundR = -roundQ - roundS;
+        }
+        return [roundQ, roundR];
+    }
+
+    /**
+     * Creates the polygon of a pointy-top hexagon
+     */
+    createHexagon(q, r, radius) {
+        const centerX = radius * Math.sqrt(3) * (q + r / 2);
+        const centerY = radius * 1.5 * r;
+
+        const ring = [];
+        for (let i = 0; i <= 6; i++) {
+            const angle = (Math.PI / 180) * (60 * (i % 6) - 30);
+            ring.push([centerX + radius * Math.cos(angle), centerY + radius * Math.sin(angle)]);
+        }
+        return new Polygon([ring]);
+    }
+
+    /**
+     * Creates style for a hexagon cell, colored by its share of the largest value
+     */
+    createHexbinStyle(cell, maxValue) {
+        const ratio = maxValue ? cell.get('value') / maxValue : 0;
+        const color = ColorUtils.interpolateColor(DEFAULT_AGGREGATION.HEXBIN_COLORS, ratio);
+
+        return new Style({
+            fill: new Fill({
+                color: this.hexToRgba(color, DEFAULT_AGGREGATION.HEXBIN_OPACITY),
+            }),
+            stroke: new Stroke({
+                color: this.hexToRgba(color, 1),
+                width: 1,
+            }),
+        });
+    }
+
     /**
      * Creates OpenLayers style from configuration
      */
@@ -50,95 +804,182 @@ export class LayerManager {
 
         const geometry = feature.getGeometry();
         const geometryType = geometry?.getType();
+        const symbol = this.getSymbolSettings(styleConfig, geometryType);
+
+        const stroke = new Stroke({
+            color: this.hexToRgba(
+                styleConfig.strokeColor || styleConfig.fillColor,
+                styleConfig.strokeOpacity || 1
+            ),
+            width: styleConfig.strokeWidth || 2,
+            lineDash: symbol.lineDash,
+        });
 
         switch (geometryType) {
             case 'Point':
+            case 'MultiPoint':
                 return new Style({
-                    image: new Circle({
-                        radius: 6,
-                        fill: new Fill({
-                            color: this.hexToRgba(styleConfig.fillColor, styleConfig.fillOpacity),
-                        }),
-                        stroke: new Stroke({
-                            color: this.hexToRgba(
-                                styleConfig.strokeColor || styleConfig.fillColor,
-                                styleConfig.strokeOpacity || 1
-                            ),
-                            width: styleConfig.strokeWidth || 2,
+                    image: symbol.icon
+                        ? new Icon({
+                            src: symbol.icon.src,
+                            scale: symbol.icon.scale ?? 1,
+                            anchor: symbol.icon.anchor ?? [0.5, 1],
+                            color: symbol.icon.color,
+                        })
+                        : new Circle({
+                            radius: symbol.radius ?? 6,
+                            fill: new Fill({
+                                color: this.hexToRgba(styleConfig.fillColor, styleConfig.fillOpacity),
+                            }),
+                            stroke: new Stroke({
+                                color: this.hexToRgba(
+                                    styleConfig.strokeColor || styleConfig.fillColor,
+                                    styleConfig.strokeOpacity || 1
+                                ),
+                                width: styleConfig.strokeWidth || 2,
+                            }),
                         }),
-                    }),
                 });
 
             case 'LineString':
             case 'MultiLineString':
                 return new Style({
-                    stroke: new Stroke({
-                        color: this.hexToRgba(
-                            styleConfig.strokeColor || styleConfig.fillColor,
-                            styleConfig.strokeOpacity || 1
-                        ),
-                        width: styleConfig.strokeWidth || 2,
-                    }),
+                    stroke,
                 });
 
             case 'Polygon':
             case 'MultiPolygon':
-                return new Style({
-                    fill: new Fill({
-                        color: this.hexToRgba(styleConfig.fillColor, styleConfig.fillOpacity),
-                    }),
-                    stroke: new Stroke({
-                        color: this.hexToRgba(
-                            styleConfig.strokeColor || styleConfig.fillColor,
-                            styleConfig.strokeOpacity || 1
-                        ),
-                        width: styleConfig.strokeWidth || 2,
-                    }),
-                });
-
             default:
                 return new Style({
                     fill: new Fill({
                         color: this.hexToRgba(styleConfig.fillColor, styleConfig.fillOpacity),
                     }),
-                    stroke: new Stroke({
-                        color: this.hexToRgba(
-                            styleConfig.strokeColor || styleConfig.fillColor,
-                            styleConfig.strokeOpacity || 1
-                        ),
-                        width: styleConfig.strokeWidth || 2,
-                    }),
+                    stroke,
                 });
         }
     }
 
     /**
-     * Converts hex color to rgba with opacity
+     * Gets the symbol settings (radius, lineDash, icon) for a geometry type
+     * Settings under styleConfig.symbols[Point|LineString|Polygon] override the top-level ones.
      */
-    hexToRgba(hex, opacity) {
-        const r = parseInt(hex.slice(1, 3), 16);
-        const g = parseInt(hex.slice(3, 5), 16);
-        const b = parseInt(hex.slice(5, 7), 16);
-        return `rgba(${r}, ${g}, ${b}, ${opacity})`;
+    getSymbolSettings(styleConfig, geometryType) {
+        const symbolType = geometryType?.replace('Multi', '');
+
+        return {
+            radius: styleConfig.radius,
+            lineDash: styleConfig.lineDash,
+            icon: styleConfig.icon,
+            ...styleConfig.symbols?.[symbolType],
+        };
+    }
+
+    /**
+     * Converts a color to rgba with opacity
+     * Style specs may use any CSS color, not only hex, so this goes through ColorUtils like the legend.
+     */
+    hexToRgba(color, opacity) {
+        return ColorUtils.withOpacity(color, opacity);
     }
 
     /**
      * Highlights selected feature
      */
     highlightFeature(layer, featureId, idColumn) {
-        const source = layer.getSource();
+        this.highlightFeatures(layer, [featureId], idColumn);
+    }
+
+    /**
+     * Highlights a set of selected features, replacing the previous selection
+     */
+    highlightFeatures(layer, featureIds, idColumn) {
+        this.getHighlightState(layer).selected = new Set(featureIds);
+        this.applyHighlights(layer, idColumn);
+    }
+
+    /**
+     * Gets the key identifying a feature: its id column value, its feature id, or its internal uid
+     */
+    getFeatureKey(feature, idColumn) {
+        return feature.get(idColumn) ?? feature.getId() ?? getUid(feature);
+    }
+
+    /**
+     * Highlights features found by a spatial query
+     */
+    highlightQueryResults(layer, featureIds, idColumn) {
+        this.getHighlightState(layer).queried = new Set(featureIds);
+        this.applyHighlights(layer, idColumn);
+    }
+
+    /**
+     * Gets the highlight state of a layer, creating it on first use
+     */
+    getHighlightState(layer) {
+        let state = layer.get('highlightState');
+        if (!state) {
+            state = { selected: new Set(), queried: new Set() };
+            layer.set('highlightState', state);
+        }
+        return state;
+    }
+
+    /**
+     * Applies selection and query highlights, selection taking precedence
+     * Features hidden by the layer's filter are never highlighted, as a feature style would show them.
+     */
+    applyHighlights(layer, idColumn) {
+        const source = this.getFeatureSource(layer);
         if (!source) return;
 
+        const state = this.getHighlightState(layer);
+        state.idColumn = idColumn;
+        const { selected, queried } = state;
+        const highlightStyle = this.createHighlightStyle();
+        const queryStyle = this.createQueryHighlightStyle();
+
         source.forEachFeature((feature) => {
-            const properties = feature.getProperties();
-            const isSelected = properties[idColumn] === featureId;
+            const featureId = this.getFeatureKey(feature, idColumn);
+            const isVisible = this.isFeatureVisible(layer, feature);
 
-            if (isSelected) {
-                feature.setStyle(this.createHighlightStyle());
-            } else {
+            if (isVisible && selected.has(featureId)) {
+                feature.setStyle(highlightStyle);
+            } else if (isVisible && queried.has(featureId)) {
+                feature.setStyle(queryStyle);
+            } else if (feature.getStyle()) {
                 feature.setStyle(undefined); // Reset to layer default style
             }
         });
+
+        // Cluster styles are derived from member styles
+        if (this.isClustered(layer)) {
+            layer.changed();
+        }
+    }
+
+    /**
+     * Creates highlight style for features found by a spatial query
+     */
+    createQueryHighlightStyle() {
+        return new Style({
+            fill: new Fill({
+                color: this.hexToRgba(DEFAULT_STYLES.QUERY_FILL_COLOR, DEFAULT_STYLES.HIGHLIGHT_FILL_OPACITY),
+            }),
+            stroke: new Stroke({
+                color: DEFAULT_STYLES.QUERY_STROKE_COLOR,
+                width: DEFAULT_STYLES.STROKE_WIDTH + 1,
+            }),
+            image: new Circle({
+                radius: 7,
+                fill: new Fill({
+                    color: this.hexToRgba(DEFAULT_STYLES.QUERY_FILL_COLOR, DEFAULT_STYLES.HIGHLIGHT_FILL_OPACITY),
+                }),
+                stroke: new Stroke({
+                    color: DEFAULT_STYLES.QUERY_STROKE_COLOR,
+                    width: DEFAULT_STYLES.STROKE_WIDTH,
+                }),
+            }),
+        });
     }
 
     /**
@@ -166,11 +1007,160 @@ export class LayerManager {
         });
     }
 
+    /**
+     * Creates a layer outlining the footprints of raster products
+     */
+    createFootprintLayer(layerName) {
+        const footprintLayer = new VectorLayer({
+            source: new VectorSource(),
+            style: (feature) => this.createFootprintStyle(feature, footprintLayer.get('highlightedFootprintId')),
+        });
+
+        footprintLayer.set('name', layerName);
+        footprintLayer.set('excludeFromSelection', true);
+        footprintLayer.set('excludeFromLegend', true);
+        return footprintLayer;
+    }
+
+    /**
+     * Replaces the footprints of a footprint layer with those of catalog records
+     * Records without a footprint are outlined by their bounding box, if they have one.
+     */
+    setFootprints(footprintLayer, records) {
+        const features = records
+            .map((record) => {
+                const geometry = this.getFootprintGeometry(record);
+                if (!geometry) return null;
+
+                const feature = new Feature({
+                    geometry,
+                    title: record.title,
+                    date: record.imagingTimeEnd,
+                });
+                feature.setId(record.identifier);
+                return feature;
+            })
+            .filter(Boolean);
+
+        const source = footprintLayer.getSource();
+        source.clear(true);
+        source.addFeatures(features);
+    }
+
+    /**
+     * Gets the footprint geometry of a catalog record, falling back to its bounding box
+     */
+    getFootprintGeometry(record) {
+        if (record.footprint) {
+            return this.geoJsonFormat.readGeometry(record.footprint);
+        }
+        if (record.boundingBox) {
+            return fromExtent([...record.boundingBox.lowerCorner, ...record.boundingBox.upperCorner]);
+        }
+        return null;
+    }
+
+    /**
+     * Highlights the footprint of one record, or none when the id is null
+     */
+    highlightFootprint(footprintLayer, recordId) {
+        if (footprintLayer.get('highlightedFootprintId') === recordId) return;
+
+        footprintLayer.set('highlightedFootprintId', recordId);
+        footprintLayer.changed();
+    }
+
+    /**
+     * Creates footprint style, dashed unless highlighted
+     */
+    createFootprintStyle(feature, highlightedId) {
+        const highlighted = feature.getId() === highlightedId;
+
+        return new Style({
+            // A faint fill keeps the whole footprint hoverable, not just its outline
+            fill: new Fill({
+                color: this.hexToRgba(DEFAULT_STYLES.FOOTPRINT_COLOR, highlighted ? DEFAULT_STYLES.FILL_OPACITY : 0.05),
+            }),
+            stroke: new Stroke({
+                color: DEFAULT_STYLES.FOOTPRINT_COLOR,
+                width: highlighted ? DEFAULT_STYLES.STROKE_WIDTH + 1 : DEFAULT_STYLES.STROKE_WIDTH,
+                lineDash: highlighted ? undefined : DEFAULT_STYLES.FOOTPRINT_LINE_DASH,
+            }),
+        });
+    }
+
+    /**
+     * Clips the rendering of a layer to a polygon, or removes the clip when the geometry is null
+     * Used to hide the no-data edges of raster products outside their footprint.
+     */
+    setLayerClip(layer, geometry) {
+        unByKey(layer.get('clipKeys') || []);
+        layer.unset('clipKeys');
+
+        const rings = geometry ? this.getPolygonRings(geometry) : [];
+        if (rings.length > 0) {
+            layer.set('clipKeys', [
+                layer.on('prerender', (event) => {
+                    const context = event.context;
+                    const transform = event.frameState.coordinateToPixelTransform;
+
+                    context.save();
+                    context.beginPath();
+                    rings.forEach((ring) => {
+                        ring.forEach((coordinate, index) => {
+                            const [x, y] = getRenderPixel(event, applyTransform(transform, coordinate.slice(0, 2)));
+                            if (index === 0) {
+                                context.moveTo(x, y);
+                            } else {
+                                context.lineTo(x, y);
+                            }
+                        });
+                        context.closePath();
+                    });
+                    // Even-odd keeps the holes of the footprint clipped out
+                    context.clip('evenodd');
+                }),
+                layer.on('postrender', (event) => {
+                    event.context.restore();
+                }),
+            ]);
+        }
+
+        layer.changed();
+    }
+
+    /**
+     * Gets the rings of a polygon or multi-polygon geometry
+     */
+    getPolygonRings(geometry) {
+        switch (geometry.getType()) {
+            case 'Polygon':
+                return geometry.getCoordinates();
+            case 'MultiPolygon':
+                return geometry.getCoordinates().flat();
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Zooms the map to the footprint of a catalog record
+     */
+    zoomToProduct(map, record) {
+        const geometry = this.getFootprintGeometry(record);
+        if (!geometry) return;
+
+        map.getView().fit(geometry, {
+            duration: MAP_CONSTANTS.ANIMATION_DURATION,
+            padding: [20, 20, 20, 20],
+        });
+    }
+
     /**
      * Fits map view to layer extent
      */
     fitToLayerExtent(map, layer) {
-        const source = layer.getSource();
+        const source = this.getFeatureSource(layer);
         if (!source) return;
 
         const extent = source.getExtent();
@@ -181,4 +1171,61 @@ export class LayerManager {
             });
         }
     }
+
+    /**
+     * Flies to a feature, zooming according to its geometry type
+     * Features hidden in a cluster are revealed by zooming in until they separate.
+     */
+    flyToFeature(map, layer, feature) {
+        const geometry = feature.getGeometry();
+        if (!geometry) return;
+
+        const view = map.getView();
+        const extent = geometry.getExtent();
+        const revealZoom = this.getRevealZoom(map, layer, feature);
+
+        if (revealZoom !== null) {
+            view.animate({
+                center: getCenter(extent),
+                zoom: Math.max(revealZoom, view.getZoom()),
+                duration: MAP_CONSTANTS.ANIMATION_DURATION,
+            });
+            return;
+        }
+
+        // Handle different geometry types
+        switch (geometry.getType()) {
+            case 'Point':
+                view.animate({
+                    center: extent.slice(0, 2),
+                    zoom: 17,
+                    duration: MAP_CONSTANTS.ANIMATION_DURATION,
+                });
+                break;
+
+            case 'LineString':
+            case 'MultiLineString':
+                view.fit(extent, {
+                    duration: MAP_CONSTANTS.ANIMATION_DURATION,
+                    padding: [50, 50, 50, 50],
+                    maxZoom: 14,
+                });
+                break;
+
+            case 'Polygon':
+            case 'MultiPolygon':
+                view.fit(extent, {
+                    duration: MAP_CONSTANTS.ANIMATION_DURATION,
+                    padding: [50, 50, 50, 50],
+                    maxZoom: 16,
+                });
+                break;
+
+            default:
+                view.fit(extent, {
+                    duration: MAP_CONSTANTS.ANIMATION_DURATION,
+                    padding: [50, 50, 50, 50],
+                });
+        }
+    }
 }
\ No newline at end of file
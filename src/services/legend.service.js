@@ -0,0 +1,243 @@
+// src/services/legend.service.js
+
+import { Vector as VectorLayer } from 'ol/layer';
+import { StyleSpecService } from './style-spec.service.js';
+import { DEFAULT_AGGREGATION, DEFAULT_STYLES } from '../constants/map.constants.js';
+import { ColorUtils } from '../utils/color.utils.js';
+import { FormatUtils } from '../utils/format.utils.js';
+
+const MAX_SAMPLED_FEATURES = 1000;
+const MAX_SAMPLED_ENTRIES = 12;
+
+/**
+ * Builds legend entries from the styling of the map's vector layers
+ * Entries are { label, fill, stroke, strokeWidth, lineDash, geometryType } with CSS colors.
+ */
+export class LegendService {
+    constructor(layerManager) {
+        this.layerManager = layerManager;
+        this.styleSpecService = new StyleSpecService();
+    }
+
+    /**
+     * Gets a legend group for every visible vector layer, in map order
+     * Layers flagged excludeFromLegend are skipped.
+     */
+    getLegendGroups(map, drawingService) {
+        const drawingLayer = drawingService?.getDrawingLayer();
+
+        return map.getLayers().getArray()
+            .filter(layer => layer instanceof VectorLayer && layer.getVisible() && !layer.get('excludeFromLegend'))
+            .map((layer) => ({
+                id: layer.get('name'),
+                title: layer.get('title') || layer.get('name'),
+                entries: layer === drawingLayer ? drawingService.getLegendEntries() : this.getLayerEntries(layer),
+            }))
+            .filter(group => group.entries.length > 0)
+            .reverse(); // Top layer first
+    }
+
+    /**
+     * Gets the legend entries of a vector layer
+     */
+    getLayerEntries(layer) {
+        if (layer.get('hexbinOptions')) {
+            return this.getHexbinEntries(layer);
+        }
+
+        const source = this.layerManager.getFeatureSource(layer);
+        const features = source ? source.getFeatures().slice(0, MAX_SAMPLED_FEATURES) : [];
+        if (features.length === 0) return [];
+
+        const styleSpec = layer.get('styleSpec');
+        if (styleSpec) {
+            return this.getSpecEntries(styleSpec, this.getDominantGeometryType(features), layer.get('title'));
+        }
+
+        return this.sampleStyleFunction(features, layer.get('styleFunction'), layer.get('title'));
+    }
+
+    /**
+     * Gets entries for every rule of a declarative style spec
+     */
+    getSpecEntries(spec, geometryType, title) {
+        const base = this.styleSpecService.evaluate({ base: spec.base }, {});
+        const withBase = (style) => this.styleSpecService.mergeStyles(base, style);
+        const entries = [];
+
+        if (spec.categorized) {
+            spec.categorized.categories.forEach((category) => {
+                entries.push(this.createEntry(category.label ?? String(category.value), withBase(category.style), geometryType));
+            });
+            if (spec.categorized.otherStyle) {
+                entries.push(this.createEntry('אחר', withBase(spec.categorized.otherStyle), geometryType));
+            }
+        }
+
+        if (spec.graduated) {
+            entries.push(...this.getGraduatedEntries(spec.graduated, base, geometryType));
+        }
+
+        (spec.rules || []).forEach((rule, index) => {
+            entries.push(this.createEntry(rule.label ?? `כלל ${index + 1}`, withBase(rule.style), geometryType));
+        });
+
+        if (entries.length === 0) {
+            entries.push(this.createEntry(spec.base?.label ?? title ?? 'ישויות', base, geometryType));
+        }
+
+        return entries;
+    }
+
+    /**
+     * Gets entries for graduated classes, or for the stops of a color ramp
+     */
+    getGraduatedEntries(graduated, base, geometryType) {
+        if (Array.isArray(graduated.classes)) {
+            return graduated.classes.map(item => this.createEntry(
+                item.label ?? `${this.formatNumber(item.min)} - ${this.formatNumber(item.max)}`,
+                this.styleSpecService.mergeStyles(base, item.style),
+                geometryType
+            ));
+        }
+
+        const { property, min, max, colors, steps } = graduated;
+        const stopCount = steps > 1 ? steps : colors.length;
+        const classSize = (max - min) / stopCount;
+
+        return Array.from({ length: stopCount }, (_, index) => {
+            // Sample the ramp through the spec so stepped and continuous ramps match the map
+            const value = steps > 1 ? min + classSize * index : min + ((max - min) * index) / Math.max(stopCount - 1, 1);
+            const style = this.styleSpecService.getGraduatedStyle(graduated, { [property]: value });
+            const label = steps > 1
+                ? `${this.formatNumber(value)} - ${this.formatNumber(value + classSize)}`
+                : this.formatNumber(value);
+            return this.createEntry(label, this.styleSpecService.mergeStyles(base, style), geometryType);
+        });
+    }
+
+    /**
+     * Gets entries for the distinct outputs of a style function over the features
+     * Each entry is labeled by the property whose value explains its style, when one exists.
+     */
+    sampleStyleFunction(features, styleFunction, title) {
+        const groups = new Map();
+
+        features.forEach((feature) => {
+            const config = styleFunction
+                ? styleFunction(feature, DEFAULT_STYLES.FILL_COLOR)
+                : this.styleSpecService.evaluate({}, {});
+            const geometryType = this.getGeometryGroup(feature.getGeometry()?.getType());
+            const key = [geometryType, config.fillColor, config.fillOpacity, config.strokeColor, config.strokeWidth].join('|');
+
+            if (!groups.has(key)) {
+                if (groups.size >= MAX_SAMPLED_ENTRIES) return;
+                groups.set(key, { config, geometryType, features: [] });
+            }
+            groups.get(key).features.push(feature);
+        });
+
+        const groupList = [...groups.values()];
+        if (groupList.length === 1) {
+            return [this.createEntry(title ?? 'ישויות', groupList[0].config, groupList[0].geometryType)];
+        }
+
+        const property = this.findDistinguishingProperty(groupList);
+
+        return groupList.map((group, index) => {
+            const label = property
+                ? `${property}: ${FormatUtils.formatValue(group.features[0].get(property))}`
+                : `סגנון ${index + 1}`;
+            return this.createEntry(label, group.config, group.geometryType);
+        });
+    }
+
+    /**
+     * Finds a property that has one value inside each group and a different value in every group
+     * Properties shared by many features are preferred over per-feature ids.
+     */
+    findDistinguishingProperty(groups) {
+        const [firstGroup] = groups;
+        const geometryName = firstGroup.features[0].getGeometryName();
+        const keys = new Set();
+        groups.forEach(group => group.features.forEach(feature => feature.getKeys().forEach(key => keys.add(key))));
+        keys.delete(geometryName);
+
+        const candidates = [...keys].filter((key) => {
+            const values = groups.map((group) => {
+                const groupValues = new Set(group.features.map(feature => FormatUtils.formatValue(feature.get(key))));
+                return groupValues.size === 1 ? [...groupValues][0] : null;
+            });
+            return values.every(value => value !== null) && new Set(values).size === groups.length;
+        });
+
+        const largestGroup = Math.max(...groups.map(group => group.features.length));
+        return candidates.length > 0 && largestGroup > 1 ? candidates[0] : null;
+    }
+
+    /**
+     * Gets entries for the low and high ends of a hexbin color ramp
+     */
+    getHexbinEntries(layer) {
+        const maxValue = layer.get('hexbinState')?.maxValue;
+        if (!maxValue) return [];
+
+        const colors = DEFAULT_AGGREGATION.HEXBIN_COLORS;
+        return colors.map((color, index) => this.createEntry(
+            this.formatNumber((maxValue * index) / (colors.length - 1)),
+            {
+                fillColor: color,
+                fillOpacity: DEFAULT_AGGREGATION.HEXBIN_OPACITY,
+                strokeColor: color,
+                strokeWidth: 1,
+            },
+            'Polygon'
+        ));
+    }
+
+    /**
+     * Creates a legend entry from a style config
+     */
+    createEntry(label, config, geometryType) {
+        const symbol = this.layerManager.getSymbolSettings(config, geometryType);
+
+        return {
+            label,
+            geometryType,
+            fill: ColorUtils.withOpacity(config.fillColor, config.fillOpacity ?? DEFAULT_STYLES.FILL_OPACITY),
+            stroke: ColorUtils.withOpacity(config.strokeColor || config.fillColor, config.strokeOpacity || 1),
+            strokeWidth: config.strokeWidth || 2,
+            lineDash: symbol.lineDash,
+            icon: symbol.icon?.src,
+        };
+    }
+
+    /**
+     * Gets the most common geometry group of the features
+     */
+    getDominantGeometryType(features) {
+        const counts = {};
+        features.forEach((feature) => {
+            const group = this.getGeometryGroup(feature.getGeometry()?.getType());
+            counts[group] = (counts[group] || 0) + 1;
+        });
+
+        return Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0];
+    }
+
+    /**
+     * Maps a geometry type to Point, LineString or Polygon
+     */
+    getGeometryGroup(geometryType) {
+        if (geometryType === 'Point' || geometryType === 'MultiPoint') return 'Point';
+        if (geometryType === 'LineString' || geometryType === 'MultiLineString') return 'LineString';
+        return 'Polygon';
+    }
+
+    /**
+     * Formats a number for a legend label
+     */
+    formatNumber(value) {
+        return Number(value.toFixed(2)).toLocaleString();
+    }
+}
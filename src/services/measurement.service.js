@@ -0,0 +1,213 @@
+// src/services/measurement.service.js
+
+import { Draw } from 'ol/interaction';
+import { Vector as VectorLayer } from 'ol/layer';
+import { Vector as VectorSource } from 'ol/source';
+import { Point } from 'ol/geom';
+import { Style, Fill, Stroke, Circle, Text } from 'ol/style';
+import { getLength, getArea } from 'ol/sphere';
+import { MEASURE_TYPES, LENGTH_UNITS, AREA_UNITS } from '../constants/map.constants.js';
+
+const MEASURE_COLOR = '#0d9488';
+
+export class MeasurementService {
+    constructor() {
+        this.drawInteraction = null;
+        this.lengthUnit = LENGTH_UNITS.KILOMETERS;
+        this.areaUnit = AREA_UNITS.DUNAM;
+        this.measureLayer = this.createMeasureLayer();
+    }
+
+    /**
+     * Creates dedicated layer for finished measurements
+     */
+    createMeasureLayer() {
+        const layer = new VectorLayer({
+            source: new VectorSource(),
+            style: (feature) => this.createMeasureStyle(feature.getGeometry()),
+        });
+
+        layer.set('name', 'measurements');
+        layer.set('excludeFromSelection', true);
+        layer.set('excludeFromLegend', true);
+        return layer;
+    }
+
+    /**
+     * Creates style for a measured geometry with its distance or area label
+     */
+    createMeasureStyle(geometry, isSketch = false) {
+        if (!geometry) return null;
+
+        const styles = [
+            new Style({
+                fill: new Fill({
+                    color: 'rgba(13, 148, 136, 0.15)',
+                }),
+                stroke: new Stroke({
+                    color: MEASURE_COLOR,
+                    width: 2,
+                    lineDash: isSketch ? [10, 10] : undefined,
+                }),
+                image: new Circle({
+                    radius: 5,
+                    stroke: new Stroke({
+                        color: MEASURE_COLOR,
+                    }),
+                    fill: new Fill({
+                        color: 'rgba(255, 255, 255, 0.6)',
+                    }),
+                }),
+            }),
+        ];
+
+        const label = this.getMeasureLabel(geometry);
+        if (label) {
+            styles.push(new Style({
+                geometry: label.anchor,
+                text: new Text({
+                    text: label.text,
+                    font: 'bold 13px sans-serif',
+                    fill: new Fill({ color: '#ffffff' }),
+                    backgroundFill: new Fill({ color: 'rgba(13, 148, 136, 0.85)' }),
+                    padding: [3, 6, 3, 6],
+                    offsetY: geometry.getType() === 'LineString' ? -15 : 0,
+                    overflow: true,
+                }),
+            }));
+        }
+
+        return styles;
+    }
+
+    /**
+     * Gets the label text and anchor point for a measured geometry
+     */
+    getMeasureLabel(geometry) {
+        switch (geometry.getType()) {
+            case 'LineString': {
+                if (geometry.getCoordinates().length < 2) return null;
+                return {
+                    text: this.formatLength(this.measureLength(geometry)),
+                    anchor: new Point(geometry.getLastCoordinate()),
+                };
+            }
+
+            case 'Polygon': {
+                if (geometry.getCoordinates()[0]?.length < 4) return null;
+                return {
+                    text: this.formatArea(this.measureArea(geometry)),
+                    anchor: geometry.getInteriorPoint(),
+                };
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Measures geodesic length in meters
+     */
+    measureLength(geometry) {
+        return getLength(geometry, { projection: 'EPSG:4326' });
+    }
+
+    /**
+     * Measures geodesic area in square meters
+     */
+    measureArea(geometry) {
+        return getArea(geometry, { projection: 'EPSG:4326' });
+    }
+
+    /**
+     * Formats a length in meters using the current length unit
+     */
+    formatLength(meters) {
+        const value = meters / this.lengthUnit.factor;
+        return `${value.toFixed(this.lengthUnit.factor === 1 ? 0 : 2)} ${this.lengthUnit.symbol}`;
+    }
+
+    /**
+     * Formats an area in square meters using the current area unit
+     */
+    formatArea(squareMeters) {
+        const value = squareMeters / this.areaUnit.factor;
+        return `${value.toFixed(this.areaUnit.factor === 1 ? 0 : 2)} ${this.areaUnit.symbol}`;
+    }
+
+    /**
+     * Sets the display units and refreshes all labels
+     */
+    setUnits(lengthUnitId, areaUnitId) {
+        const lengthUnit = Object.values(LENGTH_UNITS).find(unit => unit.id === lengthUnitId);
+        const areaUnit = Object.values(AREA_UNITS).find(unit => unit.id === areaUnitId);
+
+        if (lengthUnit) this.lengthUnit = lengthUnit;
+        if (areaUnit) this.areaUnit = areaUnit;
+
+        this.measureLayer.changed();
+        if (this.drawInteraction) {
+            this.drawInteraction.getOverlay().changed();
+        }
+    }
+
+    /**
+     * Starts measuring interaction
+     */
+    startMeasuring(map, measureType) {
+        this.stopMeasuring(map);
+
+        const geometryType = measureType === MEASURE_TYPES.AREA ? 'Polygon' : 'LineString';
+
+        this.drawInteraction = new Draw({
+            source: this.measureLayer.getSource(),
+            type: geometryType,
+            style: (feature) => {
+                const geometry = feature.getGeometry();
+                // The cursor point is drawn by the base style only
+                return geometry.getType() === 'Point'
+                    ? this.createMeasureStyle(geometry, true).slice(0, 1)
+                    : this.createMeasureStyle(geometry, true);
+            },
+        });
+
+        map.addInteraction(this.drawInteraction);
+
+        // Add measurement layer to map if not already added
+        if (!map.getLayers().getArray().includes(this.measureLayer)) {
+            map.addLayer(this.measureLayer);
+        }
+    }
+
+    /**
+     * Stops measuring interaction, keeping finished measurements on the map
+     */
+    stopMeasuring(map) {
+        if (this.drawInteraction) {
+            map.removeInteraction(this.drawInteraction);
+            this.drawInteraction = null;
+        }
+    }
+
+    /**
+     * Clears all measurements
+     */
+    clearMeasurements() {
+        this.measureLayer.getSource().clear();
+    }
+
+    /**
+     * Gets the measurement layer
+     */
+    getMeasureLayer() {
+        return this.measureLayer;
+    }
+
+    /**
+     * Checks if currently measuring
+     */
+    isMeasuring() {
+        return this.drawInteraction !== null;
+    }
+}
@@ -0,0 +1,64 @@
+// src/services/spatial-query.service.js
+
+import { containsExtent } from 'ol/extent';
+import { GeometryUtils } from '../utils/geometry.utils.js';
+import { SPATIAL_PREDICATES } from '../constants/map.constants.js';
+
+export class SpatialQueryService {
+    /**
+     * Builds the query area polygons from drawn geometries
+     * Polygons are used as-is; lines and points are buffered by bufferMeters when given.
+     */
+    createQueryAreas(geometries, bufferMeters = 0) {
+        return geometries.flatMap((geometry) => {
+            const parts = GeometryUtils.getSimpleGeometries(geometry);
+            const polygons = parts.filter(part => part.getType() === 'Polygon');
+            const others = parts.filter(part => part.getType() !== 'Polygon');
+
+            if (others.length > 0 && bufferMeters > 0) {
+                others.forEach((part) => {
+                    const buffered = GeometryUtils.bufferGeometry(part, bufferMeters);
+                    polygons.push(...GeometryUtils.getSimpleGeometries(buffered));
+                });
+            }
+
+            return polygons;
+        });
+    }
+
+    /**
+     * Finds features of a vector source that intersect, or lie within, any of the area polygons
+     */
+    findFeatures(source, areas, predicate = SPATIAL_PREDICATES.INTERSECTS) {
+        const matches = new Set();
+
+        areas.forEach((area) => {
+            const areaExtent = area.getExtent();
+
+            source.forEachFeatureIntersectingExtent(areaExtent, (feature) => {
+                if (matches.has(feature)) return;
+
+                const geometry = feature.getGeometry();
+                if (geometry && this.matchesArea(geometry, area, areaExtent, predicate)) {
+                    matches.add(feature);
+                }
+            });
+        });
+
+        return Array.from(matches);
+    }
+
+    /**
+     * Checks a feature geometry against a single area polygon
+     */
+    matchesArea(geometry, area, areaExtent, predicate) {
+        const parts = GeometryUtils.getSimpleGeometries(geometry);
+
+        if (predicate === SPATIAL_PREDICATES.WITHIN) {
+            return containsExtent(areaExtent, geometry.getExtent())
+                && parts.every(part => GeometryUtils.withinPolygon(part, area));
+        }
+
+        return parts.some(part => GeometryUtils.intersectsPolygon(part, area));
+    }
+}
@@ -0,0 +1,136 @@
+// src/services/style-spec.service.js
+
+import { ExpressionUtils } from '../utils/expression.utils.js';
+import { ColorUtils } from '../utils/color.utils.js';
+import { DEFAULT_STYLES } from '../constants/map.constants.js';
+
+/**
+ * Interprets JSON style specs into the style config LayerManager renders
+ *
+ * {
+ *   base: { fillColor, strokeColor, ..., symbols: { Point: { radius, icon }, LineString: { lineDash } } },
+ *   categorized: { property, categories: [{ value, label, style }], otherStyle },
+ *   graduated: { property, classes: [{ min, max, label, style }] }
+ *           or { property, min, max, colors: ['#...', '#...'], steps },
+ *   rules: [{ filter: ['==', ['get', 'status'], 'open'], label, style }]
+ * }
+ *
+ * Layers are applied in order: base, categorized, graduated, then every matching rule.
+ */
+export class StyleSpecService {
+    /**
+     * Creates a style function compatible with LayerManager.createFeatureStyle
+     */
+    createStyleFunction(spec) {
+        this.validateSpec(spec);
+
+        return (feature, defaultColor) => this.evaluate(spec, feature.getProperties(), defaultColor);
+    }
+
+    /**
+     * Checks a spec for structural errors, throwing on the first one found
+     */
+    validateSpec(spec) {
+        if (!spec || typeof spec !== 'object') {
+            throw new Error('Style spec must be an object');
+        }
+
+        if (spec.categorized && (!spec.categorized.property || !Array.isArray(spec.categorized.categories))) {
+            throw new Error('Categorized style requires a property and a categories array');
+        }
+
+        if (spec.graduated) {
+            const { property, classes, colors, min, max } = spec.graduated;
+            const hasRamp = Array.isArray(colors) && colors.length > 0 && Number.isFinite(min) && Number.isFinite(max);
+            if (!property || (!Array.isArray(classes) && !hasRamp)) {
+                throw new Error('Graduated style requires a property and either classes or min, max and colors');
+            }
+        }
+
+        if (spec.rules && !spec.rules.every(rule => rule.filter !== undefined)) {
+            throw new Error('Every style rule requires a filter expression');
+        }
+    }
+
+    /**
+     * Resolves the style config of a feature's properties
+     */
+    evaluate(spec, properties, defaultColor = DEFAULT_STYLES.FILL_COLOR) {
+        let config = this.mergeStyles({
+            fillColor: defaultColor,
+            fillOpacity: DEFAULT_STYLES.FILL_OPACITY,
+            strokeColor: DEFAULT_STYLES.STROKE_COLOR,
+            strokeWidth: DEFAULT_STYLES.STROKE_WIDTH,
+            strokeOpacity: DEFAULT_STYLES.STROKE_OPACITY,
+        }, spec.base);
+
+        if (spec.categorized) {
+            config = this.mergeStyles(config, this.getCategoryStyle(spec.categorized, properties));
+        }
+
+        if (spec.graduated) {
+            config = this.mergeStyles(config, this.getGraduatedStyle(spec.graduated, properties));
+        }
+
+        (spec.rules || []).forEach((rule) => {
+            if (ExpressionUtils.evaluate(rule.filter, properties)) {
+                config = this.mergeStyles(config, rule.style);
+            }
+        });
+
+        return config;
+    }
+
+    /**
+     * Gets the style of the category matching a property value
+     */
+    getCategoryStyle(categorized, properties) {
+        const value = properties[categorized.property];
+        const category = categorized.categories.find(item => String(item.value) === String(value));
+        return category ? category.style : categorized.otherStyle;
+    }
+
+    /**
+     * Gets the style of the class or ramp position matching a numeric property value
+     */
+    getGraduatedStyle(graduated, properties) {
+        const value = properties[graduated.property];
+        if (!ExpressionUtils.isNumeric(value)) return graduated.otherStyle;
+
+        const number = Number(value);
+
+        if (Array.isArray(graduated.classes)) {
+            const lastIndex = graduated.classes.length - 1;
+            const match = graduated.classes.find((item, index) =>
+                number >= item.min && (number < item.max || (index === lastIndex && number === item.max))
+            );
+            return match ? match.style : graduated.otherStyle;
+        }
+
+        const { min, max, colors, steps } = graduated;
+        let ratio = max > min ? (number - min) / (max - min) : 0;
+        ratio = Math.min(Math.max(ratio, 0), 1);
+
+        // Stepped ramps snap to the lower edge of their class
+        if (steps > 1) {
+            ratio = Math.min(Math.floor(ratio * steps), steps - 1) / (steps - 1);
+        }
+
+        const color = ColorUtils.interpolateColor(colors, ratio);
+        return { fillColor: color, strokeColor: color };
+    }
+
+    /**
+     * Merges style configs, including per-geometry symbol settings
+     */
+    mergeStyles(target, source) {
+        if (!source) return target;
+
+        const symbols = { ...target.symbols };
+        Object.entries(source.symbols || {}).forEach(([geometryType, symbol]) => {
+            symbols[geometryType] = { ...symbols[geometryType], ...symbol };
+        });
+
+        return { ...target, ...source, symbols };
+    }
+}
@@ -1,11 +1,15 @@
 // src/services/wmts-config.service.ts
 
+import { BASE_LAYER_PRODUCTS, WMTS_PREFERENCES } from '../constants/map.constants.js';
+import type { AuthProvider } from './auth-provider.service.js';
+
 /**
  * Service for managing WMTS layer configurations from your server
  * Based on the documentation you provided
  */
 
 interface WMTSCapabilitiesResponse {
+    document: string; // Raw XML, for building sources from its TileMatrixSet definitions
     layers: Array<{
         identifier: string;
         title: string;
@@ -30,6 +34,9 @@ interface CSWRecord {
     identifier: string;
     title: string;
     type: string;
+    productId?: string;
+    region?: string;
+    imagingTimeEnd?: string;
     links: Array<{
         scheme: string;
         name: string;
@@ -46,9 +53,67 @@ interface CSWRecord {
     };
 }
 
+export interface CSWPropertyFilter {
+    name: string; // Queryable, e.g. mc:region
+    value?: string;
+    like?: boolean; // Match anywhere in the value instead of exactly
+}
+
+export interface CSWQuery {
+    text?: string;
+    productType?: string;
+    productId?: string;
+    properties?: CSWPropertyFilter[];
+    bbox?: [number, number, number, number]; // minX, minY, maxX, maxY in EPSG:4326
+    startPosition?: number;
+    maxRecords?: number;
+}
+
+export interface CSWSearchResult {
+    records: CSWRecord[];
+    matched: number;
+    returned: number;
+    nextRecord: number; // 0 when there are no more records
+}
+
+interface BaseLayerProduct {
+    id: string;
+    name: string;
+    productType: string;
+    productId: string;
+}
+
+interface WMTSLayerOptions {
+    layer: string;
+    capabilitiesUrl: string;
+    capabilities: string;
+    format: string;
+    matrixSet: string;
+    style: string;
+    record: CSWRecord; // For the product's footprint, name and date
+}
+
+export interface ConfiguredBaseLayer extends BaseLayerProduct, Partial<WMTSLayerOptions> {
+    error?: string;
+}
+
 export class WMTSConfigService {
     private static readonly BASE_CSW_URL = 'YOUR_RASTER_CATALOG_SERVICE_URL/csw';
-    private static readonly TOKEN = 'YOUR_API_TOKEN';
+    private static authProvider: AuthProvider | null = null;
+
+    /**
+     * Set the auth provider that catalog and capabilities requests go through
+     */
+    static setAuthProvider(authProvider: AuthProvider | null): void {
+        this.authProvider = authProvider;
+    }
+
+    /**
+     * Fetch through the auth provider, when set, so requests carry its token
+     */
+    private static fetch(url: string, init: RequestInit = {}): Promise<Response> {
+        return this.authProvider ? this.authProvider.fetch(url, init) : fetch(url, init);
+    }
 
     /**
      * Query CSW catalog for available raster layers
@@ -58,14 +123,21 @@ export class WMTSConfigService {
         productId?: string,
         maxRecords: number = 10
     ): Promise<CSWRecord[]> {
-        const requestBody = this.buildCSWRequest(productType, productId, maxRecords);
+        const { records } = await this.searchCSWCatalog({ productType, productId, maxRecords });
+        return records;
+    }
+
+    /**
+     * Search the CSW catalog by text, properties and bounding box, one page at a time
+     */
+    static async searchCSWCatalog(query: CSWQuery = {}): Promise<CSWSearchResult> {
+        const requestBody = this.buildCSWRequest(query);
 
         try {
-            const response = await fetch(this.BASE_CSW_URL, {
+            const response = await this.fetch(this.BASE_CSW_URL, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/xml',
-                    'x-api-key': this.TOKEN,
                 },
                 body: requestBody,
             });
@@ -87,13 +159,8 @@ export class WMTSConfigService {
      */
     static async getWMTSCapabilities(capabilitiesUrl: string): Promise<WMTSCapabilitiesResponse> {
         try {
-            const urlWithToken = `${capabilitiesUrl}${capabilitiesUrl.includes('?') ? '&' : '?'}token=${this.TOKEN}`;
-
-            const response = await fetch(urlWithToken, {
+            const response = await this.fetch(capabilitiesUrl, {
                 method: 'GET',
-                headers: {
-                    'x-api-key': this.TOKEN,
-                },
             });
 
             if (!response.ok) {
@@ -109,97 +176,145 @@ export class WMTSConfigService {
     }
 
     /**
-     * Get configured base layers from your server
+     * Resolve catalog products to WMTS base layers
+     * Every product is returned; products that could not be resolved carry an error instead of WMTS options.
      */
-    static async getConfiguredBaseLayers(): Promise<Array<{
-        id: string;
-        name: string;
-        url: string;
-        productType: string;
-        productId: string;
-    }>> {
-        // These should be configured based on your server's available layers
-        // You might want to make this configurable or fetch from an API
-        const baseLayerConfigs = [
-            {
-                id: 'orthophoto-best',
-                name: 'תצלום אורתופוטו איכותי',
-                productType: 'OrthophotoBest',
-                productId: 'ORTHOPHOTO_MOSAIC_BASE',
-            },
-            {
-                id: 'bluemarble',
-                name: 'תמונת לווין כחול שיש',
-                productType: 'Raster',
-                productId: 'bluemarble_5km',
-            },
-            // Add more base layers as needed
-        ];
+    static async getConfiguredBaseLayers(
+        products: BaseLayerProduct[] = BASE_LAYER_PRODUCTS
+    ): Promise<ConfiguredBaseLayer[]> {
+        return Promise.all(products.map(async (product) => {
+            try {
+                return { ...product, ...await this.resolveBaseLayer(product) };
+            } catch (error) {
+                console.warn(`Failed to configure base layer ${product.id}:`, error);
+                return { ...product, error: error instanceof Error ? error.message : String(error) };
+            }
+        }));
+    }
 
-        const layers = [];
+    /**
+     * Resolve a catalog product to the WMTS options of its layer
+     */
+    static async resolveBaseLayer(product: BaseLayerProduct): Promise<WMTSLayerOptions> {
+        const [record] = await this.queryCSWCatalog(product.productType, product.productId, 1);
+        if (!record) {
+            throw new Error(`Product ${product.productId} not found in catalog`);
+        }
 
-        for (const config of baseLayerConfigs) {
-            try {
-                const cswRecords = await this.queryCSWCatalog(config.productType, config.productId, 1);
+        return this.resolveRecordLayer(record);
+    }
 
-                if (cswRecords.length > 0) {
-                    const record = cswRecords[0];
-                    const wmtsLink = record.links.find(link => link.scheme === 'WMTS');
+    /**
+     * Resolve a catalog record to the WMTS options of its layer
+     */
+    static async resolveRecordLayer(record: CSWRecord): Promise<WMTSLayerOptions> {
+        const productId = record.productId || record.identifier;
 
-                    if (wmtsLink) {
-                        layers.push({
-                            ...config,
-                            url: wmtsLink.url,
-                        });
-                    }
-                }
-            } catch (error) {
-                console.warn(`Failed to configure base layer ${config.id}:`, error);
-            }
+        const wmtsLink = this.getWMTSLink(record);
+        if (!wmtsLink) {
+            throw new Error(`Product ${productId} has no WMTS link`);
+        }
+
+        const capabilities = await this.getWMTSCapabilities(wmtsLink.url);
+        const layer = capabilities.layers.find(item => item.identifier === wmtsLink.name)
+            || capabilities.layers.find(item => item.identifier === productId)
+            || (capabilities.layers.length === 1 ? capabilities.layers[0] : undefined);
+        if (!layer) {
+            throw new Error(`Layer ${wmtsLink.name || productId} not found in WMTS capabilities`);
+        }
+
+        const format = this.selectFormat(layer);
+        const matrixSet = this.selectTileMatrixSet(layer);
+        if (!format || !matrixSet) {
+            throw new Error(`Layer ${layer.identifier} has no usable format or tile matrix set`);
         }
 
-        return layers;
+        return {
+            layer: layer.identifier,
+            capabilitiesUrl: wmtsLink.url,
+            capabilities: capabilities.document,
+            format,
+            matrixSet,
+            style: layer.styles[0]?.identifier || 'default',
+            record,
+        };
+    }
+
+    /**
+     * Get the WMTS capabilities link of a catalog record
+     */
+    static getWMTSLink(record: CSWRecord): CSWRecord['links'][number] | undefined {
+        return record.links.find(link => link.scheme === 'WMTS')
+            || record.links.find(link => link.scheme.startsWith('WMTS'));
+    }
+
+    /**
+     * Select the preferred image format of a layer, favoring formats with a tile ResourceURL
+     */
+    static selectFormat(layer: WMTSCapabilitiesResponse['layers'][number]): string | undefined {
+        const tileFormats = (layer.resourceUrls || [])
+            .filter(resource => resource.resourceType === 'tile')
+            .map(resource => resource.format);
+        const formats = tileFormats.length > 0 ? tileFormats : layer.formats;
+
+        return WMTS_PREFERENCES.FORMATS.find(format => formats.includes(format)) || formats[0];
+    }
+
+    /**
+     * Select the preferred tile matrix set a layer is linked to
+     */
+    static selectTileMatrixSet(layer: WMTSCapabilitiesResponse['layers'][number]): string | undefined {
+        const matrixSets = layer.tileMatrixSetLinks.map(link => link.tileMatrixSet).filter(Boolean);
+
+        return WMTS_PREFERENCES.TILE_MATRIX_SETS.find(matrixSet => matrixSets.includes(matrixSet)) || matrixSets[0];
     }
 
     /**
      * Build CSW GetRecords request XML
      */
-    private static buildCSWRequest(
-        productType?: string,
-        productId?: string,
-        maxRecords: number = 10
-    ): string {
-        let filterContent = '';
+    private static buildCSWRequest(query: CSWQuery): string {
+        const { text, productType, productId, properties = [], bbox, startPosition = 1, maxRecords = 10 } = query;
+        const filters = [];
 
-        if (productType || productId) {
-            const filters = [];
+        if (text?.trim()) {
+            filters.push(this.buildLikeFilter('csw:AnyText', text.trim()));
+        }
 
-            if (productType) {
-                filters.push(`
-          <PropertyIsEqualTo>
-            <PropertyName>mc:productType</PropertyName>
-            <Literal>${productType}</Literal>
-          </PropertyIsEqualTo>`);
-            }
+        const propertyFilters: CSWPropertyFilter[] = [
+            { name: 'mc:productType', value: productType },
+            { name: 'mc:productId', value: productId },
+            ...properties,
+        ];
 
-            if (productId) {
-                filters.push(`
+        propertyFilters
+            .filter(property => property.value)
+            .forEach((property) => {
+                filters.push(property.like
+                    ? this.buildLikeFilter(property.name, property.value as string)
+                    : `
           <PropertyIsEqualTo>
-            <PropertyName>mc:productId</PropertyName>
-            <Literal>${productId}</Literal>
+            <PropertyName>${this.escapeXml(property.name)}</PropertyName>
+            <Literal>${this.escapeXml(property.value as string)}</Literal>
           </PropertyIsEqualTo>`);
-            }
+            });
 
-            if (filters.length === 1) {
-                filterContent = filters[0];
-            } else if (filters.length > 1) {
-                filterContent = `<And>${filters.join('')}</And>`;
-            }
+        if (bbox) {
+            filters.push(`
+          <BBOX>
+            <PropertyName>ows:BoundingBox</PropertyName>
+            <gml:Envelope xmlns:gml="http://www.opengis.net/gml" srsName="EPSG:4326">
+              <gml:lowerCorner>${bbox[0]} ${bbox[1]}</gml:lowerCorner>
+              <gml:upperCorner>${bbox[2]} ${bbox[3]}</gml:upperCorner>
+            </gml:Envelope>
+          </BBOX>`);
+        }
 
+        let filterContent = '';
+        if (filters.length > 0) {
             filterContent = `
         <Constraint version="1.1.0">
           <Filter xmlns="http://www.opengis.net/ogc">
-            ${filterContent}
+            ${filters.length === 1 ? filters[0] : `<And>${filters.join('')}</And>`}
           </Filter>
         </Constraint>`;
         }
@@ -209,10 +324,12 @@ export class WMTSConfigService {
   xmlns:csw="http://www.opengis.net/cat/csw/2.0.2" 
   service="CSW"
   maxRecords="${maxRecords}" 
-  startPosition="1"
+  startPosition="${startPosition}"
+  resultType="results"
   outputSchema="http://schema.mapcolonies.com/raster" 
   version="2.0.2"
-  xmlns:mc="http://schema.mapcolonies.com/raster">
+  xmlns:mc="http://schema.mapcolonies.com/raster"
+  xmlns:ows="http://www.opengis.net/ows">
   <csw:Query typeNames="mc:MCRasterRecord">
     <csw:ElementSetName>full</csw:ElementSetName>
     ${filterContent}
@@ -220,10 +337,33 @@ export class WMTSConfigService {
 </csw:GetRecords>`;
     }
 
+    /**
+     * Build a case-insensitive PropertyIsLike filter matching the value anywhere in the property
+     */
+    private static buildLikeFilter(propertyName: string, value: string): string {
+        return `
+          <PropertyIsLike wildCard="*" singleChar="?" escapeChar="\\" matchCase="false">
+            <PropertyName>${this.escapeXml(propertyName)}</PropertyName>
+            <Literal>*${this.escapeXml(value.replace(/[*?\\]/g, '\\$&'))}*</Literal>
+          </PropertyIsLike>`;
+    }
+
+    /**
+     * Escape text for use inside XML content and attributes
+     */
+    private static escapeXml(value: string): string {
+        return value
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
     /**
      * Parse CSW GetRecords response
      */
-    private static parseCSWResponse(xmlText: string): CSWRecord[] {
+    private static parseCSWResponse(xmlText: string): CSWSearchResult {
         const parser = new DOMParser();
         const xmlDoc = parser.parseFromString(xmlText, 'text/xml');
 
@@ -238,6 +378,9 @@ export class WMTSConfigService {
                     identifier: this.getElementText(recordElement, 'mc:identifier') || '',
                     title: this.getElementText(recordElement, 'mc:productName') || '',
                     type: this.getElementText(recordElement, 'mc:productType') || '',
+                    productId: this.getElementText(recordElement, 'mc:productId'),
+                    region: this.getElementText(recordElement, 'mc:region'),
+                    imagingTimeEnd: this.getElementText(recordElement, 'mc:imagingTimeEndUTC'),
                     links: [],
                 };
 
@@ -282,7 +425,18 @@ export class WMTSConfigService {
             }
         }
 
-        return records;
+        const searchResults = xmlDoc.getElementsByTagNameNS('http://www.opengis.net/cat/csw/2.0.2', 'SearchResults')[0];
+        const getCount = (attribute: string, fallback: number) => {
+            const value = Number(searchResults?.getAttribute(attribute));
+            return searchResults?.hasAttribute(attribute) && Number.isFinite(value) ? value : fallback;
+        };
+
+        return {
+            records,
+            matched: getCount('numberOfRecordsMatched', records.length),
+            returned: getCount('numberOfRecordsReturned', records.length),
+            nextRecord: getCount('nextRecord', 0),
+        };
     }
 
     /**
@@ -351,7 +505,7 @@ export class WMTSConfigService {
             }
         }
 
-        return { layers };
+        return { document: xmlText, layers };
     }
 
     /**
@@ -374,37 +528,4 @@ export class WMTSConfigService {
 
         return undefined;
     }
-
-    /**
-     * Format WMTS URL template with proper parameters
-     */
-    static formatWMTSUrl(templateUrl: string, token: string): string {
-        return templateUrl
-                .replace('{TileMatrixSet}', 'WorldCRS84')
-                .replace('{TileMatrix}', '{z}')
-                .replace('{TileCol}', '{x}')
-                .replace('{TileRow}', '{y}')
-            + `${templateUrl.includes('?') ? '&' : '?'}token=${token}`;
-    }
-
-    /**
-     * Extract bounding box from footprint
-     */
-    static extractBoundingBox(footprint: any): [number, number, number, number] | null {
-        if (!footprint || footprint.type !== 'Polygon' || !footprint.coordinates?.[0]) {
-            return null;
-        }
-
-        const coordinates = footprint.coordinates[0];
-        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-
-        coordinates.forEach(([x, y]: [number, number]) => {
-            minX = Math.min(minX, x);
-            minY = Math.min(minY, y);
-            maxX = Math.max(maxX, x);
-            maxY = Math.max(maxY, y);
-        });
-
-        return [minX, minY, maxX, maxY];
-    }
 }
\ No newline at end of file
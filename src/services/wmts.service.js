@@ -1,62 +1,57 @@
 // src/services/wmts.service.js
 
-import { WMTS, TileGrid } from 'ol/source';
+import { WMTS } from 'ol/source';
+import { optionsFromCapabilities } from 'ol/source/WMTS';
 import { Tile as TileLayer } from 'ol/layer';
-import WMTSTileGrid from 'ol/tilegrid/WMTS';
-import { get as getProjection } from 'ol/proj';
-import { MAP_CONSTANTS } from '../constants/map.constants.js';
+import WMTSCapabilities from 'ol/format/WMTSCapabilities';
 
 export class WMTSService {
-    static TOKEN = 'YOUR_TOKEN_HERE'; // Replace with actual token
+    static capabilitiesFormat = new WMTSCapabilities();
 
     /**
-     * Creates WMTS tile grid for WorldCRS84
+     * Parses a WMTS GetCapabilities document
      */
-    static createTileGrid() {
-        const projection = getProjection('EPSG:4326');
-        const projectionExtent = projection.getExtent();
-        const size = Math.max(
-            projectionExtent[2] - projectionExtent[0],
-            projectionExtent[3] - projectionExtent[1]
-        );
+    static parseCapabilities(xmlText) {
+        return this.capabilitiesFormat.read(xmlText);
+    }
 
-        const resolutions = new Array(MAP_CONSTANTS.MAX_ZOOM);
-        const matrixIds = new Array(MAP_CONSTANTS.MAX_ZOOM);
+    /**
+     * Creates WMTS source options from the server's capabilities
+     * The tile grid follows the TileMatrixSet definition - matrix ids, origins, scales and limits -
+     * in its own CRS, and tiles are requested through the layer's ResourceURL template or KVP endpoint.
+     */
+    static createSourceOptions(capabilities, config) {
+        const parsedCapabilities = typeof capabilities === 'string'
+            ? this.parseCapabilities(capabilities)
+            : capabilities;
+
+        const options = optionsFromCapabilities(parsedCapabilities, {
+            layer: config.layer,
+            matrixSet: config.matrixSet,
+            format: config.format,
+            style: config.style,
+        });
 
-        for (let z = 0; z < MAP_CONSTANTS.MAX_ZOOM; ++z) {
-            resolutions[z] = size / (MAP_CONSTANTS.TILE_SIZE * Math.pow(2, z));
-            matrixIds[z] = z.toString();
+        if (!options) {
+            throw new Error(`Layer ${config.layer} not found in WMTS capabilities`);
+        }
+        if (config.matrixSet && options.matrixSet !== config.matrixSet) {
+            throw new Error(`Layer ${config.layer} is not available in tile matrix set ${config.matrixSet}`);
         }
 
-        return new WMTSTileGrid({
-            origin: [-180, 90],
-            resolutions,
-            matrixIds,
-        });
+        return options;
     }
 
     /**
      * Creates WMTS layer from configuration
+     * config.capabilities is the capabilities document, as XML text or parsed;
+     * config.layer, matrixSet, format and style pick the layer and its options from it.
+     * Tiles are loaded through the auth provider, when given, so they carry its token.
      */
-    static createWMTSLayer(config) {
-        const tileGrid = this.createTileGrid();
-
-        // Format URL template for WMTS
-        const formattedUrl = config.url
-            .replace('{TileMatrixSet}', MAP_CONSTANTS.TILE_MATRIX_SET)
-            .replace('{TileMatrix}', '{z}')
-            .replace('{TileCol}', '{x}')
-            .replace('{TileRow}', '{y}');
-
+    static createWMTSLayer(config, authProvider = null) {
         const source = new WMTS({
-            url: formattedUrl,
-            layer: config.id,
-            matrixSet: MAP_CONSTANTS.TILE_MATRIX_SET,
-            format: 'image/jpeg',
-            projection: 'EPSG:4326',
-            tileGrid,
-            style: 'default',
-            urls: [`${formattedUrl}?token=${this.TOKEN}`],
+            ...this.createSourceOptions(config.capabilities, config),
+            ...(authProvider && { tileLoadFunction: authProvider.createTileLoadFunction() }),
         });
 
         return new TileLayer({
@@ -66,19 +61,13 @@ export class WMTSService {
     }
 
     /**
-     * Updates token for all WMTS sources
+     * Reloads the tiles of WMTS layers, e.g. after a failed session was renewed
      */
-    static updateToken(layers, newToken) {
+    static reloadTiles(layers) {
         layers.forEach(layer => {
             const source = layer.getSource();
             if (source instanceof WMTS) {
-                const currentUrls = source.getUrls();
-                if (currentUrls) {
-                    const updatedUrls = currentUrls.map(url =>
-                        url.replace(/token=[^&]*/, `token=${newToken}`)
-                    );
-                    source.setUrls(updatedUrls);
-                }
+                source.refresh();
             }
         });
     }
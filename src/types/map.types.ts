@@ -1,7 +1,10 @@
 // src/types/map.types.ts
 
+import type { AuthProvider } from '../services/auth-provider.service.js';
+
 export interface Feature {
     type: 'Feature';
+    id?: string | number;
     geometry: Geometry;
     properties: Record<string, any>;
 }
@@ -20,12 +23,153 @@ export interface MapProps {
     mainLayer: GeoJsonLayer;
     layerCenter?: [number, number];
     selectedRowIndex?: string | number;
+    selectedRowIds?: Array<string | number> | null;
     setSelectedEntity: (entity: any) => void;
+    onSelectionChange?: (entities: Array<Record<string, any>>) => void;
     layerName?: string;
     otherLayersGeometry?: GeoJsonLayer | null;
-    onPolygonDraw?: (wkt: string | null) => void;
+    onPolygonDraw?: (result: string | BufferedDrawingOutput | DrawingValidationResult | null) => void;
+    onDrawingChange?: (change: DrawingChange) => void;
+    initialDrawing?: string | GeoJsonLayer | Feature | Geometry | null;
+    drawingValidation?: DrawingValidationOptions | null;
+    snapping?: SnapOptions | null;
+    onFeaturesInArea?: (entityIds: Array<string | number>) => void;
+    bufferDistance?: number;
+    clustering?: boolean | ClusterOptions | null;
+    aggregation?: AggregationOptions | null;
     entityIdColumn?: string;
     entityColor?: (entity: any, defaultColor: string) => StyleConfig;
+    styleSpec?: StyleSpec | null;
+    labels?: LabelOptions | null;
+    otherLayersLabels?: LabelOptions | null;
+    tooltipField?: string | null;
+    attributeTable?: boolean | { open?: boolean; includeOtherLayers?: boolean } | null;
+    featureFilter?: FeatureFilter | null;
+    filterPanel?: boolean;
+    baseLayerProducts?: BaseLayerProduct[];
+    catalogBrowser?: boolean;
+    productFootprints?: boolean;
+    clipProductsToFootprint?: boolean; // Hide raster products outside their catalog footprint
+    authProvider?: AuthProvider | null; // Authenticates the catalog, capabilities and tile requests
+    renderPopup?: ((properties: Record<string, any>, context: PopupRenderContext) => any) | null;
+}
+
+export interface PopupRenderContext {
+    feature: any;
+    layerTitle?: string;
+    close: () => void;
+}
+
+export interface DrawingChange {
+    wkt: string | null;
+    geojson: GeoJsonLayer;
+    featureIds: Array<string | number>;
+    buffers: Array<{ id: string | number; bufferMeters: number; wkt: string }>;
+    invalidFeatures: Array<{ id: string | number; errors: ValidationError[] }>;
+}
+
+export interface BufferedDrawingOutput {
+    wkt: string;
+    bufferedWkt: string;
+    bufferMeters: number;
+}
+
+export type FilterExpression = [string, ...any[]];
+
+export type FeatureFilter = FilterExpression | ((properties: Record<string, any>) => boolean);
+
+export interface FilterCondition {
+    id: number;
+    property: string;
+    operator: '==' | '!=' | '>' | '>=' | '<' | '<=' | 'contains' | 'has';
+    value?: string;
+}
+
+export interface SymbolSettings {
+    radius?: number;
+    lineDash?: number[];
+    icon?: { src: string; scale?: number; anchor?: [number, number]; color?: string };
+}
+
+export interface StyleRule {
+    label?: string;
+    style: Partial<StyleConfig>;
+}
+
+export interface StyleSpec {
+    base?: Partial<StyleConfig>;
+    categorized?: {
+        property: string;
+        categories: Array<StyleRule & { value: string | number | boolean }>;
+        otherStyle?: Partial<StyleConfig>;
+    };
+    graduated?: {
+        property: string;
+        classes?: Array<StyleRule & { min: number; max: number }>;
+        min?: number;
+        max?: number;
+        colors?: string[];
+        steps?: number;
+        otherStyle?: Partial<StyleConfig>;
+    };
+    rules?: Array<StyleRule & { filter: FilterExpression }>;
+}
+
+export interface LabelOptions {
+    property?: string;
+    template?: string;
+    minZoom?: number;
+    maxZoom?: number;
+    font?: string;
+    color?: string;
+    haloColor?: string;
+    haloWidth?: number;
+}
+
+export interface ClusterOptions {
+    distance?: number;
+    minDistance?: number;
+    colorMode?: 'majority' | 'pie';
+}
+
+export interface AggregationOptions {
+    renderMode?: 'features' | 'heatmap' | 'hexbin';
+    weightProperty?: string | null;
+    aggregation?: 'count' | 'sum';
+    hexbinSize?: number;
+    heatmapRadius?: number;
+    heatmapBlur?: number;
+}
+
+export interface SnapOptions {
+    enabled?: boolean;
+    pixelTolerance?: number;
+    vertex?: boolean;
+    edge?: boolean;
+    targets?: Array<'drawing' | 'main' | 'other'>;
+}
+
+export interface DrawingValidationOptions {
+    minPolygonVertices?: number;
+    minLineVertices?: number;
+    minArea?: number | null;
+    maxArea?: number | null;
+    extent?: [number, number, number, number] | null;
+}
+
+export interface ValidationError {
+    code: 'self-intersection' | 'too-few-vertices' | 'area-too-small' | 'area-too-large' | 'outside-extent';
+    message: string;
+    ringIndex?: number;
+    segments?: number[][][];
+    point?: number[];
+    area?: number;
+}
+
+export interface DrawingValidationResult {
+    valid: false;
+    featureId: string | number;
+    errors: ValidationError[];
 }
 
 export interface StyleConfig {
@@ -34,19 +178,28 @@ export interface StyleConfig {
     strokeColor?: string;
     strokeWidth?: number;
     strokeOpacity?: number;
+    radius?: number;
+    lineDash?: number[];
+    icon?: SymbolSettings['icon'];
+    symbols?: Partial<Record<'Point' | 'LineString' | 'Polygon', SymbolSettings>>;
 }
 
 export interface WMTSLayerConfig {
     id: string;
     name: string;
-    url: string;
+    capabilities: string | object; // GetCapabilities XML, or as parsed by ol/format/WMTSCapabilities
+    layer: string;
+    matrixSet?: string;
+    format?: string;
+    style?: string;
     visible?: boolean;
 }
 
-export interface BaseLayerConfig {
-    OSM: WMTSLayerConfig;
-    SATELLITE: WMTSLayerConfig;
-    ROADS: WMTSLayerConfig;
+export interface BaseLayerProduct {
+    id: string;
+    name: string;
+    productType: string;
+    productId: string;
 }
 
 export interface MapControls {
@@ -61,6 +214,18 @@ export interface DrawingMode {
     POLYGON: 'polygon';
     LINE: 'line';
     POINT: 'point';
+    RECTANGLE: 'rectangle';
+    CIRCLE: 'circle';
+    FREEHAND: 'freehand';
+    MEASURE: 'measure';
+    SELECT: 'select';
+}
+
+export interface MeasureUnit {
+    id: string;
+    name: string;
+    symbol: string;
+    factor: number;
 }
 
 export interface CoordinateDisplay {
@@ -0,0 +1,42 @@
+// src/utils/color.utils.js
+
+import { asArray } from 'ol/color';
+
+/**
+ * Color helpers for CSS colors
+ */
+export const ColorUtils = {
+    /**
+     * Interpolates a color along a list of hex color stops (ratio 0-1)
+     */
+    interpolateColor(stops, ratio) {
+        if (stops.length === 1) return stops[0];
+
+        const position = Math.min(Math.max(ratio, 0), 1) * (stops.length - 1);
+        const index = Math.min(Math.floor(position), stops.length - 2);
+        const local = position - index;
+
+        const from = stops[index].replace('#', '');
+        const to = stops[index + 1].replace('#', '');
+        const channel = (offset) => {
+            const start = parseInt(from.slice(offset, offset + 2), 16);
+            const end = parseInt(to.slice(offset, offset + 2), 16);
+            return Math.round(start + (end - start) * local).toString(16).padStart(2, '0');
+        };
+
+        return `#${channel(0)}${channel(2)}${channel(4)}`;
+    },
+
+    /**
+     * Applies an opacity to any CSS color (hex, named, rgb() or rgba()), scaling its own alpha
+     * Colors that cannot be parsed are returned unchanged.
+     */
+    withOpacity(color, opacity) {
+        try {
+            const [r, g, b, alpha = 1] = asArray(color);
+            return `rgba(${r}, ${g}, ${b}, ${alpha * opacity})`;
+        } catch {
+            return color;
+        }
+    },
+};
@@ -0,0 +1,105 @@
+// src/utils/expression.utils.js
+
+/**
+ * Evaluates declarative filter expressions against feature properties
+ * Expressions are JSON arrays: [operator, ...arguments], e.g.
+ * ['all', ['==', ['get', 'status'], 'open'], ['>=', ['get', 'priority'], 2]]
+ */
+export const ExpressionUtils = {
+    OPERATORS: [
+        'get', 'has', '==', '!=', '>', '>=', '<', '<=',
+        'in', 'between', 'contains', 'all', 'any', '!',
+    ],
+
+    /**
+     * Checks if a value is an expression rather than a literal
+     */
+    isExpression(value) {
+        return Array.isArray(value) && this.OPERATORS.includes(value[0]);
+    },
+
+    /**
+     * Evaluates an expression, returning literals as they are
+     */
+    evaluate(expression, properties) {
+        if (!this.isExpression(expression)) {
+            return expression;
+        }
+
+        const [operator, ...args] = expression;
+        const value = (index) => this.evaluate(args[index], properties);
+
+        switch (operator) {
+            case 'get':
+                return properties?.[args[0]];
+            case 'has':
+                return properties?.[args[0]] !== undefined && properties?.[args[0]] !== null;
+            case '==':
+                return value(0) == value(1); // Loose on purpose: property values often arrive as strings
+            case '!=':
+                return value(0) != value(1);
+            case '>':
+                return this.compare(value(0), value(1)) > 0;
+            case '>=':
+                return this.compare(value(0), value(1)) >= 0;
+            case '<':
+                return this.compare(value(0), value(1)) < 0;
+            case '<=':
+                return this.compare(value(0), value(1)) <= 0;
+            case 'in':
+                return (value(1) || []).some(item => item == value(0));
+            case 'between': {
+                const target = value(0);
+                return this.compare(target, value(1)) >= 0 && this.compare(target, value(2)) <= 0;
+            }
+            case 'contains':
+                return String(value(0) ?? '').toLowerCase().includes(String(value(1) ?? '').toLowerCase());
+            case 'all':
+                return args.every(arg => Boolean(this.evaluate(arg, properties)));
+            case 'any':
+                return args.some(arg => Boolean(this.evaluate(arg, properties)));
+            case '!':
+                return !value(0);
+            default:
+                throw new Error(`Unknown expression operator: ${operator}`);
+        }
+    },
+
+    /**
+     * Compares two values numerically when both are numbers, otherwise as strings
+     */
+    compare(a, b) {
+        if (this.isNumeric(a) && this.isNumeric(b)) {
+            return Number(a) - Number(b);
+        }
+        return String(a ?? '').localeCompare(String(b ?? ''));
+    },
+
+    /**
+     * Checks if a value is a number or a numeric string
+     */
+    isNumeric(value) {
+        return value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value));
+    },
+
+    /**
+     * Creates a predicate function from an expression
+     */
+    toPredicate(expression) {
+        return (properties) => Boolean(this.evaluate(expression, properties));
+    },
+
+    /**
+     * Creates an expression from simple { property, operator, value } conditions
+     * Incomplete conditions are skipped; returns null when none are left.
+     */
+    fromConditions(conditions, match = 'all') {
+        const expressions = conditions
+            .filter(({ property, operator, value }) => property && (operator === 'has' || (value ?? '') !== ''))
+            .map(({ property, operator, value }) => (operator === 'has'
+                ? ['has', property]
+                : [operator, ['get', property], value]));
+
+        return expressions.length > 0 ? [match, ...expressions] : null;
+    },
+};
@@ -0,0 +1,26 @@
+// src/utils/format.utils.js
+
+/**
+ * Display formatting for feature attribute values
+ */
+export const FormatUtils = {
+    /**
+     * Formats an attribute value for display
+     */
+    formatValue(value) {
+        if (value === undefined || value === null || value === '') return '—';
+        if (typeof value === 'boolean') return value ? 'כן' : 'לא';
+        if (typeof value === 'number') return value.toLocaleString('he-IL');
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    },
+
+    /**
+     * Formats a date for display, keeping unparsable values as they are
+     */
+    formatDate(value) {
+        if (!value) return null;
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? value : date.toLocaleDateString('he-IL');
+    },
+};
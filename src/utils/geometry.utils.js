@@ -0,0 +1,206 @@
+// src/utils/geometry.utils.js
+
+import buffer from '@turf/buffer';
+import { GeoJSON } from 'ol/format';
+import { circular } from 'ol/geom/Polygon';
+import { MAP_CONSTANTS } from '../constants/map.constants.js';
+
+const geoJsonFormat = new GeoJSON();
+
+/**
+ * Geometry helpers shared by the drawing, validation and query services
+ * Coordinates are EPSG:4326 [lon, lat] pairs.
+ */
+export const GeometryUtils = {
+    /**
+     * Gets the orientation of three points: 1 clockwise, -1 counter-clockwise, 0 collinear
+     */
+    orientation(p, q, r) {
+        const value = (q[1] - p[1]) * (r[0] - q[0]) - (q[0] - p[0]) * (r[1] - q[1]);
+        if (Math.abs(value) < 1e-12) return 0;
+        return value > 0 ? 1 : -1;
+    },
+
+    /**
+     * Checks if point q lies on segment pr, given the three points are collinear
+     */
+    onSegment(p, q, r) {
+        return q[0] <= Math.max(p[0], r[0]) && q[0] >= Math.min(p[0], r[0])
+            && q[1] <= Math.max(p[1], r[1]) && q[1] >= Math.min(p[1], r[1]);
+    },
+
+    /**
+     * Checks if segment p1-p2 intersects segment q1-q2
+     */
+    segmentsIntersect(p1, p2, q1, q2) {
+        const o1 = this.orientation(p1, p2, q1);
+        const o2 = this.orientation(p1, p2, q2);
+        const o3 = this.orientation(q1, q2, p1);
+        const o4 = this.orientation(q1, q2, p2);
+
+        if (o1 !== o2 && o3 !== o4) return true;
+
+        return (o1 === 0 && this.onSegment(p1, q1, p2))
+            || (o2 === 0 && this.onSegment(p1, q2, p2))
+            || (o3 === 0 && this.onSegment(q1, p1, q2))
+            || (o4 === 0 && this.onSegment(q1, p2, q2));
+    },
+
+    /**
+     * Gets the intersection point of two segments, or null if they are parallel
+     */
+    segmentIntersectionPoint(p1, p2, q1, q2) {
+        const denominator = (p1[0] - p2[0]) * (q1[1] - q2[1]) - (p1[1] - p2[1]) * (q1[0] - q2[0]);
+        if (Math.abs(denominator) < 1e-18) return null;
+
+        const t = ((p1[0] - q1[0]) * (q1[1] - q2[1]) - (p1[1] - q1[1]) * (q1[0] - q2[0])) / denominator;
+        return [p1[0] + t * (p2[0] - p1[0]), p1[1] + t * (p2[1] - p1[1])];
+    },
+
+    /**
+     * Finds crossings between non-adjacent segments of a closed ring
+     * Returns a list of { segments: [[a, b], [c, d]], point }
+     */
+    findRingSelfIntersections(ring) {
+        const intersections = [];
+        const segmentCount = ring.length - 1;
+
+        for (let i = 0; i < segmentCount; i++) {
+            for (let j = i + 1; j < segmentCount; j++) {
+                // Neighbouring segments share a vertex, and so do the first and the last one
+                if (j === i + 1 || (i === 0 && j === segmentCount - 1)) continue;
+
+                const a = ring[i];
+                const b = ring[i + 1];
+                const c = ring[j];
+                const d = ring[j + 1];
+
+                if (this.segmentsIntersect(a, b, c, d)) {
+                    intersections.push({
+                        segments: [[a, b], [c, d]],
+                        point: this.segmentIntersectionPoint(a, b, c, d) || a,
+                    });
+                }
+            }
+        }
+
+        return intersections;
+    },
+
+    /**
+     * Counts distinct vertices of a closed ring
+     */
+    countRingVertices(ring) {
+        const unique = new Set(ring.slice(0, -1).map(coord => `${coord[0]},${coord[1]}`));
+        return unique.size;
+    },
+
+    /**
+     * Splits a geometry into its simple parts (points, lines and polygons)
+     */
+    getSimpleGeometries(geometry) {
+        switch (geometry?.getType()) {
+            case 'MultiPoint':
+                return geometry.getPoints();
+            case 'MultiLineString':
+                return geometry.getLineStrings();
+            case 'MultiPolygon':
+                return geometry.getPolygons();
+            case 'GeometryCollection':
+                return geometry.getGeometries().flatMap(part => this.getSimpleGeometries(part));
+            case undefined:
+                return [];
+            default:
+                return [geometry];
+        }
+    },
+
+    /**
+     * Gets the segments of a line or of all rings of a polygon
+     */
+    getSegments(geometry) {
+        const lines = geometry.getType() === 'Polygon' ? geometry.getCoordinates() : [geometry.getCoordinates()];
+
+        return lines.flatMap(line => line.slice(0, -1).map((coord, index) => [coord, line[index + 1]]));
+    },
+
+    /**
+     * Gets all vertices of a simple geometry
+     */
+    getVertices(geometry) {
+        switch (geometry.getType()) {
+            case 'Point':
+                return [geometry.getCoordinates()];
+            case 'LineString':
+                return geometry.getCoordinates();
+            case 'Polygon':
+                return geometry.getCoordinates().flat();
+            default:
+                return [];
+        }
+    },
+
+    /**
+     * Checks if any segment of the first geometry crosses any segment of the second one
+     */
+    edgesCross(first, second) {
+        const secondSegments = this.getSegments(second);
+
+        return this.getSegments(first).some(([a, b]) => secondSegments.some(([c, d]) => this.segmentsIntersect(a, b, c, d)));
+    },
+
+    /**
+     * Checks if a simple geometry intersects a polygon
+     */
+    intersectsPolygon(geometry, polygon) {
+        if (geometry.getType() === 'Point') {
+            return polygon.intersectsCoordinate(geometry.getCoordinates());
+        }
+
+        if (this.getVertices(geometry).some(coord => polygon.intersectsCoordinate(coord))) return true;
+
+        // The polygon may lie entirely inside a polygon geometry
+        if (geometry.getType() === 'Polygon'
+            && this.getVertices(polygon).some(coord => geometry.intersectsCoordinate(coord))) {
+            return true;
+        }
+
+        return this.edgesCross(geometry, polygon);
+    },
+
+    /**
+     * Checks if a simple geometry lies entirely inside a polygon
+     */
+    withinPolygon(geometry, polygon) {
+        if (!this.getVertices(geometry).every(coord => polygon.intersectsCoordinate(coord))) return false;
+        if (geometry.getType() === 'Point') return true;
+
+        // A polygon that surrounds one of the holes is not inside
+        if (geometry.getType() === 'Polygon') {
+            const holeVertices = polygon.getCoordinates().slice(1).flat();
+            if (holeVertices.some(coord => geometry.intersectsCoordinate(coord))) return false;
+        }
+
+        return !this.edgesCross(geometry, polygon);
+    },
+
+    /**
+     * Buffers a geometry by a distance in meters into a polygon
+     * Points become exact geodesic circles; lines and polygons are buffered by turf
+     * in an azimuthal equidistant projection centered on the geometry.
+     */
+    bufferGeometry(geometry, meters) {
+        if (!geometry || !(meters > 0)) return null;
+
+        if (geometry.getType() === 'Point') {
+            return circular(geometry.getCoordinates(), meters, MAP_CONSTANTS.CIRCLE_SEGMENTS);
+        }
+
+        const buffered = buffer(geoJsonFormat.writeGeometryObject(geometry), meters, {
+            units: 'meters',
+            steps: MAP_CONSTANTS.CIRCLE_SEGMENTS / 4,
+        });
+
+        return buffered ? geoJsonFormat.readGeometry(buffered.geometry) : null;
+    },
+};